@@ -0,0 +1,11 @@
+#!/usr/bin/env node
+'use strict'
+
+const {main} = require('../lib/cli.js')
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code
+}).catch(/* istanbul ignore next */ (e) => {
+  process.stderr.write(`${e.stack}\n`)
+  process.exitCode = 1
+})
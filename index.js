@@ -1,605 +1,1382 @@
 'use strict'
 /* eslint-disable max-len */
 
+const {EventEmitter} = require('events')
 const prometheus = require('prom-client')
 const logger = require('@log4js-node/log4js-api').getLogger('node-rdkafka-prometheus')
+const {SCHEMA, compileSchema, schemaDrift} = require('./lib/schema.js')
+const {labelsKey, removeByLabelValues} = require('./lib/series.js')
 
 /**
  * @typedef {Object} Options
  * @property {Registry[]} [registers] prometheus registries
+ * @property {Sink} [sink] sink creating the metrics, instead of creating prom-client metrics in the `registers`
  * @property {Object.<string,string>} [extraLabels={}] additional labels to apply to the metrics
+ * @property {string[]} [handleLabels=[]] names of additional labels whose values are given per handle with the `labels` option of `observe()` and `attach()`
  * @property {string} [namePrefix=''] prefix for metric names
+ * @property {number} [staleGracePeriod=0] number of consecutive statistics a series may be missing from before it is removed
+ * @property {boolean} [counters=false] export librdkafka totals as prometheus counters with a `_total` suffix instead of gauges
+ * @property {boolean} [stateSets=false] export states as one series per state with a `state` label instead of a single numeric value
+ * @property {Array.<string|RegExp>} [includeTopics] only export topics with one of these names or matching one of these patterns
+ * @property {Array.<string|RegExp>} [excludeTopics=[]] do not export topics with one of these names or matching one of these patterns
+ * @property {Levels} [levels] levels of statistics to export
+ * @property {boolean} [skipUnassignedPartition=false] do not export the internal unassigned partition (-1) of topics
+ * @property {boolean} [aggregatePartitions=false] export per-partition values summed up per topic, without a `partition` label
+ * @property {Array.<string|RegExp>} [includeMetrics] only export metrics with one of these keys or a key matching one of these patterns
+ * @property {Array.<string|RegExp>} [excludeMetrics=[]] do not export metrics with one of these keys or a key matching one of these patterns
+ * @property {Object.<string,MetricOverride>} [metrics={}] name and help overrides for metrics, by key
+ * @property {Object.<string,string|boolean>} [relabel] new names for labels, or false to drop a label
+ * @property {string} [windows='gauges'] export window statistics as separate `gauges`, or as a single `summary` or `histogram` per window
+ * @property {boolean} [lazy=false] only store the statistics in `observe()`, and translate the latest statistics of each handle when the registries collect the metrics, requires windows exported as `gauges`
+ * @property {HealthRules} [health] rules for the health of handles, used by `health()` and for the `healthy` and `unhealthy` events
+ * @property {boolean} [baseUnits=false] export durations in seconds with a `_seconds` suffix and sizes with a `_bytes` suffix, following the prometheus naming conventions
+ * @property {SchemaEntry[]} [schema] fields of the statistics and how they are exported, by default the `SCHEMA` of lib/schema.js
  */
 
 /**
- * Topic fetch states
+ * @typedef {Object} Sink
+ * @property {function(string, MetricDefinition): Object} createMetric create a metric of type `counter`, `gauge`, `histogram` or `window`, with `set()`, `inc()`, `observe()` and `remove()` methods like the prom-client metrics
+ * @property {function(function): void} addCollector call a function before the metrics are collected
+ * @property {function(function): void} removeCollector stop calling a function added with `addCollector()`
+ * @property {function(Object[]): void} removeMetrics release metrics when unregistering the collector
+ */
+
+/**
+ * @typedef {Object} MetricDefinition
+ * @property {string} name name of the metric
+ * @property {string} help help of the metric
+ * @property {string[]} labelNames names of the labels
+ * @property {string} [unit] unit of the exported values, `microseconds`, `milliseconds`, `seconds` or `bytes`
+ * @property {number[]} [buckets] upper bounds of the buckets of histograms and windows
+ * @property {string} [windows] `summary` or `histogram` for windows
+ */
+
+/**
+ * @typedef {Object} MetricOverride
+ * @property {string} [name] name of the metric, replacing the prefixed default name
+ * @property {string} [help] help of the metric
+ * @property {number[]} [buckets] upper bounds of the buckets of a histogram or of a window exported as histogram, in the exported unit
+ */
+
+/**
+ * @typedef {Object} Levels
+ * @property {boolean} [toppars=true] export the partitions handled by each broker
+ * @property {boolean} [partitions=true] export per-partition statistics
+ * @property {boolean} [brokerWindows=true] export the broker window statistics (int_latency, outbuf_latency, rtt, throttle)
+ */
+
+/**
+ * @typedef {Object} ObserveOptions
+ * @property {string} [group] consumer group (`group.id`) of the client that emitted the statistics
+ * @property {number} [size] size of the statistics JSON in bytes
+ * @property {Object.<string,string>} [labels] values of the labels declared with the `handleLabels` option, missing values are empty
+ */
+
+/**
+ * @typedef {Object} HealthRules
+ * @property {boolean} [brokersUp=true] require the brokers learned from the cluster metadata to be in state `UP`
+ * @property {string[]} [fetchStates=['offset-query', 'offset-wait']] fetch states of owned partitions that make a handle unhealthy
+ * @property {number} [maxLag=Infinity] largest acceptable consumer lag of an owned partition
+ * @property {boolean} [cgrpUp=true] require the consumer group to be in state `up`
+ * @property {number} [maxStaleness=Infinity] seconds after receiving the latest statistics of a handle after which they are stale
+ * @property {number} [maxStaleIntervals=3] statistics intervals, as observed between the latest two statistics of a handle, after receiving the latest statistics after which they are stale
+ */
+
+/**
+ * @typedef {Object} HandleHealth
+ * @property {string} handle name of the handle
+ * @property {string} type type of the handle
+ * @property {boolean} healthy true if none of the rules failed for the handle
+ * @property {string[]} reasons failed rules of the handle itself
+ * @property {Array.<{name: string, reasons: string[]}>} brokers brokers with failed rules
+ * @property {Array.<{topic: string, partition: number, reasons: string[]}>} partitions partitions with failed rules
+ */
+
+/**
+ * @typedef {Object} Health
+ * @property {boolean} healthy true if all handles are healthy
+ * @property {HandleHealth[]} handles health of each handle
+ */
+
+/**
+ * @typedef {Object} AttachOptions
+ * @property {boolean} [forgetOnDisconnect=true] remove the series and the event assignment of the client when it disconnects
+ * @property {boolean} [events=false] export metrics from the error, throttle, rebalance, delivery report and disconnected events of the client
+ * @property {Object.<string,string>} [labels] values of the labels declared with the `handleLabels` option for the series of the client
+ */
+
+/**
+ * Codes of the errors node-rdkafka passes to `rebalance` listeners, see ERR__ASSIGN_PARTITIONS and
+ * ERR__REVOKE_PARTITIONS in node-rdkafka's lib/error.js
+ */
+const REBALANCE_EVENTS = {
+  [-175]: 'assign'
+, [-174]: 'revoke'
+}
+
+/**
+ * Quantiles of the percentile fields in window statistics
+ */
+const WINDOW_QUANTILES = {
+  p50: '0.5'
+, p75: '0.75'
+, p90: '0.9'
+, p95: '0.95'
+, p99: '0.99'
+, p99_99: '0.9999'
+}
+
+/**
+ * Ways of exporting window statistics, see the `windows` option
+ */
+const WINDOW_EXPORTS = ['gauges', 'summary', 'histogram']
+
+/**
+ * Default upper bounds of histogram buckets, by the unit used by rdkafka (`count` for metrics without unit)
+ */
+const DEFAULT_BUCKETS = {
+  microseconds: [100, 250, 500, 1000, 2500, 5000, 10000, 25000, 50000, 100000, 250000, 500000, 1000000, 2500000]
+, milliseconds: [1, 5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]
+, bytes: [256, 1024, 4096, 16384, 65536, 262144, 1048576, 4194304]
+, count: [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 10000]
+}
+
+/**
+ * Describe the numeric values of states for the help of a metric
+ *
+ * @param {string[]} states possible states, in the order of their values
+ * @return {string} description of the values
+ */
+function describeStates(states) {
+  return states.map((value, index) => { return `${index} = ${value}` }).join(',')
+}
+
+/**
+ * Create a value mapper that maps a state to its index in the possible states
+ *
+ * @param {string[]} states possible states, in the order of their values
+ * @param {string} description description of the state for log messages
+ * @return {function} value mapper
+ */
+function stateMapper(states, description) {
+  return (state) => {
+    const value = states.indexOf(state)
+    /* istanbul ignore if */
+    if (value === -1) {
+      logger.warn(`Cannot map rdkafka ${description} '${state}' to prometheus value`)
+    }
+    return value
+  }
+}
+
+/**
+ * Define a metric for an rdkafka statistic that is a total
  *
- * The order matches the order in rdkafka's `rd_kafka_fetch_states`.
+ * @param {Object} options help, name, label names and unit of the metric
+ * @return {Object} metric definition
+ */
+function counterDefinition(options) {
+  return {...options, type: 'counter'}
+}
+
+/**
+ * Define a metric for a total the collector counts itself, which is a counter regardless of the `counters` option
  *
- * See https://github.com/edenhill/librdkafka/blob/master/src/rdkafka_partition.c rd_kafka_fetch_states
+ * @param {Object} options help, name, label names and unit of the metric
+ * @return {Object} metric definition
  */
-const FETCH_STATES = ['none', 'stopping', 'stopped', 'offset-query', 'offset-wait', 'active']
+function totalDefinition(options) {
+  return {...options, type: 'total'}
+}
 
 /**
- * Broker states
+ * Define a metric for an rdkafka statistic that is a current value
  *
- * The order matches the order in rdkafka's `rd_kafka_broker_state_names`.
+ * @param {Object} options help, name, label names and unit of the metric
+ * @return {Object} metric definition
+ */
+function gaugeDefinition(options) {
+  return {...options, type: 'gauge'}
+}
+
+/**
+ * Define a metric for a value observed in a histogram
  *
- * @see https://github.com/edenhill/librdkafka/blob/master/src/rdkafka_broker.c rd_kafka_broker_state_names
+ * @param {Object} options help, name, label names and unit of the metric
+ * @return {Object} metric definition
  */
-const BROKER_STATES = ['INIT', 'DOWN', 'CONNECT', 'AUTH', 'UP', 'UPDATE', 'APIVERSION_QUERY', 'AUTH_HANDSHAKE']
+function histogramDefinition(options) {
+  return {...options, type: 'histogram'}
+}
+
+/**
+ * Define a metric for an rdkafka statistic that is one of the given states
+ *
+ * @param {Object} options help, name, label names and possible states of the metric
+ * @return {Object} metric definition
+ */
+function stateDefinition(options) {
+  return {...options, type: 'state'}
+}
+
+/**
+ * Define the metrics for the fields of an rdkafka window statistic
+ *
+ * The definition of the window itself is exported as a gauge with a `quantile` label, or as a summary or histogram
+ * that replaces the definitions of the fields.
+ *
+ * @param {Object} options key, help, name, label names, unit and level of the window
+ * @return {Object.<string,Object>} metric definitions by key
+ */
+function windowDefinitions({key, help, name, labelNames, unit, level}) {
+  function field(definition) {
+    return {...definition, level, window: key}
+  }
+  /* eslint-disable sort-keys */
+  return {
+    [`${key}_MIN`]: field(gaugeDefinition({help: `${help} (smallest value)`, name: `${name}_min`, labelNames, unit}))
+  , [`${key}_MAX`]: field(gaugeDefinition({help: `${help} (largest value)`, name: `${name}_max`, labelNames, unit}))
+  , [`${key}_AVG`]: field(gaugeDefinition({help: `${help} (average value)`, name: `${name}_avg`, labelNames, unit}))
+  , [`${key}_SUM`]: field(gaugeDefinition({help: `${help} (sum of values)`, name: `${name}_sum`, labelNames, unit}))
+  , [`${key}_CNT`]: field(gaugeDefinition({help: `${help} (number of value samples)`, name: `${name}_cnt`, labelNames}))
+  , [`${key}_STDDEV`]: field(gaugeDefinition({help: `${help} (standard deviation)`, name: `${name}_stddev`, labelNames, unit}))
+  , [`${key}_HDRSIZE`]: field(gaugeDefinition({help: `${help} (memory size of the HDR histogram in bytes)`, name: `${name}_hdrsize`, labelNames, unit: 'bytes'}))
+  , [`${key}_OUTOFRANGE`]: field(gaugeDefinition({help: `${help} (values skipped due to out of histogram range)`, name: `${name}_outofrange`, labelNames}))
+  , [key]: {help, name, labelNames, unit, level, type: 'window'}
+  }
+  /* eslint-enable sort-keys */
+}
+
+/**
+ * Estimate the fraction of the samples of a window that are at most the given value
+ *
+ * The percentiles of the window (clamped to its minimum and maximum, as the HDR histogram reports percentiles rounded
+ * up to its buckets) are interpolated linearly.
+ *
+ * @param {Object.<string,number>} window window statistics
+ * @param {number} bound upper bound
+ * @return {number} fraction between 0 and 1
+ */
+function windowFraction(window, bound) {
+  const points = [
+    [window.min, 0]
+  , ...Object.keys(WINDOW_QUANTILES).filter((field) => { return field in window }).map((field) => {
+      return [Math.min(Math.max(window[field], window.min), window.max), Number(WINDOW_QUANTILES[field])]
+    })
+  , [window.max, 1]
+  ]
+  let previous = null
+  for (const [value, fraction] of points) {
+    if (value > bound) {
+      if (!previous) {
+        return 0
+      }
+      return previous[1] + (fraction - previous[1]) * (bound - previous[0]) / (value - previous[0])
+    }
+    previous = [value, fraction]
+  }
+  return 1
+}
+
+/**
+ * A metric exporting rdkafka window statistics as a prometheus summary or histogram
+ *
+ * The quantiles of a summary are the percentiles of the latest window, while the `_sum` and `_count` (and the
+ * buckets of a histogram, estimated from the percentiles) accumulate over all windows.
+ */
+class WindowMetric {
+  /**
+   * Create the metric and register it
+   *
+   * @param {Object} options name, help, label names, registries, type (`summary` or `histogram`) and buckets
+   */
+  constructor({name, help, labelNames, registers, type, buckets}) {
+    this.name = name
+    this.help = help
+    this.labelNames = labelNames
+    this.type = type
+    this.buckets = buckets
+    this.aggregator = 'sum'
+    this.hashMap = {}
+    for (const register of registers) {
+      register.registerMetric(this)
+    }
+  }
+
+  /**
+   * Observe the statistics of a window
+   *
+   * @param {Object.<string,string>} labels labels of the series
+   * @param {Object.<string,number>} window window statistics
+   * @return {void}
+   */
+  set(labels, window) {
+    const key = labelsKey(labels)
+    let entry = this.hashMap[key]
+    if (!entry) {
+      entry = {buckets: this.buckets.map(() => { return 0 }), count: 0, labels, sum: 0}
+      this.hashMap[key] = entry
+    }
+    entry.window = window
+    if (window.cnt > 0) {
+      entry.sum += window.sum
+      entry.count += window.cnt
+      this.buckets.forEach((bound, i) => {
+        entry.buckets[i] += Math.round(windowFraction(window, bound) * window.cnt)
+      })
+    }
+  }
+
+  remove(...labelValues) {
+    removeByLabelValues(this, labelValues)
+  }
+
+  reset() {
+    this.hashMap = {}
+  }
+
+  get() {
+    const values = []
+    for (const {buckets, count, labels, sum, window} of Object.values(this.hashMap)) {
+      if (this.type === 'histogram') {
+        this.buckets.forEach((bound, i) => {
+          values.push({labels: {...labels, le: bound}, metricName: `${this.name}_bucket`, value: buckets[i]})
+        })
+        values.push({labels: {...labels, le: '+Inf'}, metricName: `${this.name}_bucket`, value: count})
+      } else {
+        for (const field of Object.keys(WINDOW_QUANTILES).filter((name) => { return name in window })) {
+          values.push({labels: {...labels, quantile: WINDOW_QUANTILES[field]}, value: window[field]})
+        }
+      }
+      values.push({labels, metricName: `${this.name}_sum`, value: sum})
+      values.push({labels, metricName: `${this.name}_count`, value: count})
+    }
+    return {aggregator: this.aggregator, help: this.help, name: this.name, type: this.type, values}
+  }
+}
+
+/**
+ * Divisors to convert durations in the units used by rdkafka to seconds
+ */
+const SECONDS_DIVISORS = {
+  microseconds: 1e6
+, milliseconds: 1e3
+, seconds: 1
+}
+
+/**
+ * Convert a metric definition to base units, following the prometheus naming conventions
+ *
+ * Durations get a `_seconds` suffix, sizes a `_bytes` suffix.
+ *
+ * @param {Object} definition metric definition
+ * @return {Object} converted metric definition
+ */
+function baseUnitDefinition(definition) {
+  const {help, name, unit} = definition
+  if (unit === 'bytes') {
+    if (name.endsWith('_bytes')) {
+      return definition
+    }
+    return {...definition, name: name.endsWith('bytes') ? `${name.slice(0, -'bytes'.length)}_bytes` : `${name}_bytes`}
+  }
+  if (unit in SECONDS_DIVISORS) {
+    // Keep the capital letter of units starting a sentence
+    const seconds = help.replace(/micro ?seconds|milliseconds/gi, (match) => {
+      return match[0] === 'M' ? 'Seconds' : 'seconds'
+    })
+    return {...definition, help: seconds, name: `${name}_seconds`}
+  }
+  return definition
+}
+
+/**
+ * Check whether a name matches one of the given names or patterns
+ *
+ * @param {string} name name to check
+ * @param {Array.<string|RegExp>} patterns names or patterns
+ * @return {boolean} true if the name matches
+ */
+function matchesAny(name, patterns) {
+  return patterns.some((pattern) => {
+    return pattern instanceof RegExp ? pattern.test(name) : pattern === name
+  })
+}
+
+/**
+ * Check whether the handle owns a partition, that is the partition is desired by the application and being fetched
+ *
+ * @param {Object} topicPartitionStats statistics of the partition
+ * @return {boolean} true if the handle owns the partition
+ */
+function isOwnedPartition(topicPartitionStats) {
+  return topicPartitionStats.partition !== -1 && topicPartitionStats.desired && topicPartitionStats.fetch_state !== 'none'
+}
+
+/**
+ * Remove a single series from a metric
+ *
+ * @param {Object} metric prometheus metric
+ * @param {Object.<string,string>} labels labels of the series to remove
+ * @return {void}
+ */
+function removeSeries(metric, labels) {
+  metric.remove(...metric.labelNames.map((name) => { return labels[name] }))
+}
+
+/**
+ * Sinks using each metric they created or reused, so that shared metrics stay registered until the last collector
+ * using them is unregistered. Metrics registered by the application are not tracked and never unregistered.
+ */
+const METRIC_SINKS = new WeakMap()
+
+/**
+ * Check whether an already registered metric can be reused for a metric with the given options
+ *
+ * @param {Object} metric registered metric
+ * @param {function} MetricClass class of the metric to create
+ * @param {Object} options options of the metric to create
+ * @return {boolean} true if the metric has the same class, type and label names
+ */
+function isCompatibleMetric(metric, MetricClass, {labelNames, type}) {
+  if (metric.constructor !== MetricClass || metric.type !== type) {
+    return false
+  }
+  return [...metric.labelNames].sort().join() === [...labelNames].sort().join()
+}
+
+/**
+ * Sink creating prom-client metrics in prometheus registries
+ *
+ * This is the default sink, using the registries of the `registers` option.
+ */
+class PrometheusSink {
+  /**
+   * Create the sink
+   *
+   * @param {Registry[]} registers prometheus registries
+   */
+  constructor(registers) {
+    this.registers = registers
+  }
+
+  /**
+   * Create a metric, or reuse a compatible metric that is already registered
+   *
+   * @param {string} type `counter`, `gauge`, `histogram` or `window`
+   * @param {MetricDefinition} definition name, help, label names, unit, buckets and window type of the metric
+   * @return {Object} the metric
+   */
+  createMetric(type, {buckets, help, labelNames, name, windows}) {
+    switch (type) {
+      case 'counter':
+        return this._registerMetric(prometheus.Counter, {help, labelNames, name: `${name}_total`})
+      case 'histogram':
+        return this._registerMetric(prometheus.Histogram, {buckets, help, labelNames, name})
+      case 'window':
+        return this._registerMetric(WindowMetric, {buckets, help, labelNames, name, type: windows})
+      default:
+        return this._registerMetric(prometheus.Gauge, {help, labelNames, name})
+    }
+  }
+
+  // Metrics that are already registered under the same name, for example by another collector embedded in a library,
+  // are reused when they are compatible. prom-client would otherwise refuse to register them a second time.
+  _registerMetric(MetricClass, options) {
+    const existing = this.registers.map((register) => { return register.getSingleMetric(options.name) }).find(Boolean)
+    if (!existing) {
+      const metric = new MetricClass({...options, registers: this.registers})
+      METRIC_SINKS.set(metric, new Set([this]))
+      return metric
+    }
+    if (!isCompatibleMetric(existing, MetricClass, options)) {
+      throw new Error(`Metric ${options.name} is already registered with a different type or label names`)
+    }
+    for (const register of this.registers) {
+      if (!register.getSingleMetric(options.name)) {
+        register.registerMetric(existing)
+      }
+    }
+    const sinks = METRIC_SINKS.get(existing)
+    if (sinks) {
+      sinks.add(this)
+    }
+    return existing
+  }
+
+  /**
+   * Call a function before the registries collect the metrics
+   *
+   * @param {function} collector function to call
+   * @return {void}
+   */
+  addCollector(collector) {
+    for (const register of this.registers) {
+      register.registerCollector(collector)
+    }
+  }
+
+  /**
+   * Stop calling a function added with `addCollector()`
+   *
+   * @param {function} collector function to remove
+   * @return {void}
+   */
+  removeCollector(collector) {
+    for (const register of this.registers) {
+      const collectors = register.collectors()
+      const index = collectors.indexOf(collector)
+      if (index !== -1) {
+        collectors.splice(index, 1)
+      }
+    }
+  }
+
+  /**
+   * Remove metrics created by this sink from the registries that no other sink using them exports to
+   *
+   * @param {Object[]} metrics metrics to remove
+   * @return {void}
+   */
+  removeMetrics(metrics) {
+    for (const metric of metrics) {
+      const sinks = METRIC_SINKS.get(metric)
+      if (!sinks) {
+        continue
+      }
+      sinks.delete(this)
+      // Keep the metric in the registries of the other sinks using it
+      const usedRegisters = new Set([...sinks].flatMap(({registers}) => { return registers }))
+      for (const register of this.registers) {
+        if (!usedRegisters.has(register) && register.getSingleMetric(metric.name) === metric) {
+          register.removeSingleMetric(metric.name)
+        }
+      }
+    }
+  }
+}
 
 /**
  * A "metric" that observes rdkafka statistics
  */
-class RdkafkaStats {
+class RdkafkaStats extends EventEmitter {
   /**
   * Create the collector
   *
   * @param {Options} options options for the collector
   */
   constructor(options) {
-    const {extraLabels, namePrefix, registers} = {extraLabels: {}
+    super()
+    const {
+      aggregatePartitions
+    , baseUnits
+    , counters
+    , excludeMetrics
+    , excludeTopics
+    , extraLabels
+    , handleLabels
+    , health
+    , includeMetrics
+    , includeTopics
+    , lazy
+    , levels
+    , metrics
+    , namePrefix
+    , registers
+    , relabel
+    , schema
+    , sink
+    , skipUnassignedPartition
+    , staleGracePeriod
+    , stateSets
+    , windows
+    } = {aggregatePartitions: false
+    , baseUnits: false
+    , counters: false
+    , excludeMetrics: []
+    , excludeTopics: []
+    , extraLabels: {}
+    , handleLabels: []
+    , health: {}
+    , includeMetrics: null
+    , includeTopics: null
+    , lazy: false
+    , metrics: {}
     , namePrefix: ''
-    , registers: [prometheus.register], ...options}
+    , registers: [prometheus.register]
+    , relabel: null
+    , schema: SCHEMA
+    , sink: null
+    , skipUnassignedPartition: false
+    , staleGracePeriod: 0
+    , stateSets: false
+    , windows: 'gauges', ...options}
 
+    if (!WINDOW_EXPORTS.includes(windows)) {
+      throw new Error(`Cannot export windows as ${windows}, use one of ${WINDOW_EXPORTS.join(', ')}`)
+    }
+    // Summaries and histograms add up the windows of every statistics, lazy translation skips all but the latest
+    if (lazy && windows !== 'gauges') {
+      throw new Error(`Cannot export windows as ${windows} with lazy translation, use gauges`)
+    }
     this.registers = registers
 
-    const globalLabelNames = ['handle', 'type', ...Object.keys(extraLabels)]
+    /**
+     * Sink creating the metrics
+     */
+    this.sink = sink || new PrometheusSink(registers)
+
+    /**
+     * Metrics created as counters, which are incremented by the difference to the previously reported total
+     */
+    this.counterMetrics = new Set()
+    this.staleGracePeriod = staleGracePeriod
+    this.counters = counters
+    this.stateSets = stateSets
+    this.includeTopics = includeTopics
+    this.excludeTopics = excludeTopics
+    this.levels = {brokerWindows: true
+    , partitions: true
+    , toppars: true, ...levels}
+    this.skipUnassignedPartition = skipUnassignedPartition
+    this.aggregatePartitions = aggregatePartitions
+    this.includeMetrics = includeMetrics
+    this.excludeMetrics = excludeMetrics
+    this.metricOverrides = metrics
+    this.relabel = relabel
+    this.baseUnits = baseUnits
+    this.windows = windows
+
+    /**
+     * Divisors to convert values to seconds, by metric key (only used with `baseUnits`)
+     */
+    this.unitDivisors = {}
+
+    const globalLabelNames = ['handle', 'type', ...Object.keys(extraLabels), ...handleLabels]
     const brokerLabelNames = [...globalLabelNames, 'name', 'nodeid']
-    const topparsLabelNames = [...brokerLabelNames, 'topic']
     const topicLabelNames = [...globalLabelNames, 'topic']
-    const topicPartitionLabelNames = [...topicLabelNames, 'partition']
-    const cgrpLabelNames = [...globalLabelNames]
+    const cgrpLabelNames = [...globalLabelNames, 'group']
 
-    // Disable eslint from complaining about the order: this is based on what rdkafka has in the documentation, so make finding specific statistics faster.
-    /* eslint-disable sort-keys */
-    this.metrics = {
-      // Top-level metrics
-      TS: this.makeRdKafkaCounter({
-        help: 'librdkafka\'s internal monotonic clock (micro seconds)'
-      , name: `${namePrefix}rdkafka_ts`
-      , labelNames: globalLabelNames
-      })
-    , TIME: this.makeRdKafkaCounter({
-        help: 'Wall clock time in seconds since the epoch'
-      , name: `${namePrefix}rdkafka_time`
-      , labelNames: globalLabelNames
-      })
-    , REPLYQ: this.makeRdkafkaGauge({
-        help: 'Number of ops waiting in queue for application to serve with rd_kafka_poll()'
-      , name: `${namePrefix}rdkafka_replyq`
-      , labelNames: globalLabelNames
-      })
-    , MSG_CNT: this.makeRdkafkaGauge({
-        help: 'Current number of messages in instance queues'
-      , name: `${namePrefix}rdkafka_msg_cnt`
-      , labelNames: globalLabelNames
-      })
-    , MSG_SIZE: this.makeRdkafkaGauge({
-        help: 'Current total size of messages in instance queues'
-      , name: `${namePrefix}rdkafka_msg_size`
-      , labelNames: globalLabelNames
-      })
-    , MSG_MAX: this.makeRdkafkaGauge({
-        help: 'Threshold: maximum number of messages allowed'
-      , name: `${namePrefix}rdkafka_msg_max`
-      , labelNames: globalLabelNames
-      })
-    , MSG_SIZE_MAX: this.makeRdkafkaGauge({
-        help: 'Threshold: maximum total size of messages allowed'
-      , name: `${namePrefix}rdkafka_msg_size_max`
-      , labelNames: globalLabelNames
-      })
-    , SIMPLE_CNT: this.makeRdkafkaGauge({
-        help: 'Internal tracking of legacy vs new consumer API state'
-      , name: `${namePrefix}rdkafka_simple_cnt`
-      , labelNames: globalLabelNames
-      })
-    , METADATA_CACHE_CNT: this.makeRdKafkaCounter({
-        help: 'Number of topics in the metadata cache'
-      , name: `${namePrefix}rdkafka_metadata_cache_cnt`
-      , labelNames: globalLabelNames
-      })
+    this.schemaEntries = schema
 
-      // Per-Broker metrics
-    , BROKER_STATE: this.makeRdkafkaGauge({
-        help: `Broker state (${BROKER_STATES.map((value, index) => { return `${index} = ${value}` }).join(',')})`
-      , name: `${namePrefix}rdkafka_broker_state`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_STATEAGE: this.makeRdkafkaGauge({
-        help: 'Time since last broker state change (microseconds)'
-      , name: `${namePrefix}rdkafka_broker_stateage`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_OUTBUF_CNT: this.makeRdkafkaGauge({
-        help: 'Number of requests awaiting transmission to broker'
-      , name: `${namePrefix}rdkafka_broker_outbuf_cnt`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_OUTBUF_MSG_CNT: this.makeRdkafkaGauge({
-        help: 'Number of messages in outbuf_cnt'
-      , name: `${namePrefix}rdkafka_broker_outbuf_msg_cnt`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_WAITRESP_CNT: this.makeRdkafkaGauge({
-        help: 'Number of requests in-flight to broker awaiting response'
-      , name: `${namePrefix}rdkafka_broker_waitresp_cnt`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_WAITRESP_MSG_CNT: this.makeRdkafkaGauge({
-        help: 'Number of messages in waitresp_cnt'
-      , name: `${namePrefix}rdkafka_broker_waitresp_msg_cnt`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_TX: this.makeRdKafkaCounter({
-        help: 'Total number of requests sent'
-      , name: `${namePrefix}rdkafka_broker_tx`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_TXBYTES: this.makeRdKafkaCounter({
-        help: 'Total number of bytes sent'
-      , name: `${namePrefix}rdkafka_broker_txbytes`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_TXERRS: this.makeRdKafkaCounter({
-        help: 'Total number of transmissions errors'
-      , name: `${namePrefix}rdkafka_broker_txerrs`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_TXRETRIES: this.makeRdKafkaCounter({
-        help: 'Total number of request retries'
-      , name: `${namePrefix}rdkafka_broker_txretries`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_REQ_TIMEOUTS: this.makeRdKafkaCounter({
-        help: 'Total number of requests timed out'
-      , name: `${namePrefix}rdkafka_broker_req_timeouts`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_RX: this.makeRdKafkaCounter({
-        help: 'Total number of responses received'
-      , name: `${namePrefix}rdkafka_broker_rx`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_RXBYTES: this.makeRdKafkaCounter({
-        help: 'Total number of bytes received'
-      , name: `${namePrefix}rdkafka_broker_rxbytes`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_RXERRS: this.makeRdKafkaCounter({
-        help: 'Total number of receive errors'
-      , name: `${namePrefix}rdkafka_broker_rxerrs`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_RXCORRIDERRS: this.makeRdKafkaCounter({
-        help: 'Total number of unmatched correlation ids in response (typically for timed out requests)'
-      , name: `${namePrefix}rdkafka_broker_rxcorriderrs`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_RXPARTIAL: this.makeRdKafkaCounter({
-        help: 'Total number of partial messagesets received'
-      , name: `${namePrefix}rdkafka_broker_rxpartial`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_ZBUF_GROW: this.makeRdKafkaCounter({
-        help: 'Total number of decompression buffer size increases'
-      , name: `${namePrefix}rdkafka_broker_zbuf_grow`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_BUF_GROW: this.makeRdKafkaCounter({
-        help: 'Total number of buffer size increases'
-      , name: `${namePrefix}rdkafka_broker_buf_grow`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_WAKEUPS: this.makeRdKafkaCounter({
-        help: 'Broker thread poll wakeups'
-      , name: `${namePrefix}rdkafka_broker_wakeups`
-      , labelNames: brokerLabelNames
-      })
-      // Window stats: each of (int_latency,rtt,throttle) x (min, max, avg, sum, cnt)
-    , BROKER_INT_LATENCY_MIN: this.makeRdkafkaGauge({
-        help: 'Internal producer queue latency in microseconds (smallest value)'
-      , name: `${namePrefix}rdkafka_broker_int_latency_min`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_INT_LATENCY_MAX: this.makeRdkafkaGauge({
-        help: 'Internal producer queue latency in microseconds (largest value)'
-      , name: `${namePrefix}rdkafka_broker_int_latency_max`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_INT_LATENCY_AVG: this.makeRdkafkaGauge({
-        help: 'Internal producer queue latency in microseconds (average value)'
-      , name: `${namePrefix}rdkafka_broker_int_latency_avg`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_INT_LATENCY_SUM: this.makeRdkafkaGauge({
-        help: 'Internal producer queue latency in microseconds (sum of values)'
-      , name: `${namePrefix}rdkafka_broker_int_latency_sum`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_INT_LATENCY_CNT: this.makeRdkafkaGauge({
-        help: 'Internal producer queue latency in microseconds (number of value samples)'
-      , name: `${namePrefix}rdkafka_broker_int_latency_cnt`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_RTT_MIN: this.makeRdkafkaGauge({
-        help: 'Broker latency / round-trip time in microseconds (smallest value)'
-      , name: `${namePrefix}rdkafka_broker_rtt_min`
-      , labelNames: brokerLabelNames
+    /**
+     * Fields of the statistics by path, see lib/schema.js
+     */
+    this.schema = compileSchema(schema)
+
+    // Disable eslint from complaining about the order: the derived metrics follow the statistics they are derived from.
+    /* eslint-disable sort-keys */
+    const definitions = {
+      ...this._schemaDefinitions(namePrefix, globalLabelNames)
+      // Derived consumer lag metrics over the partitions of the topic owned by the handle
+    , TOPIC_CONSUMER_LAG: gaugeDefinition({
+        help: 'Total consumer lag of the owned partitions, excluding partitions with unknown lag'
+      , name: `${namePrefix}rdkafka_topic_consumer_lag`
+      , labelNames: topicLabelNames
       })
-    , BROKER_RTT_MAX: this.makeRdkafkaGauge({
-        help: 'Broker latency / round-trip time in microseconds (largest value)'
-      , name: `${namePrefix}rdkafka_broker_rtt_max`
-      , labelNames: brokerLabelNames
+    , TOPIC_CONSUMER_LAG_MAX: gaugeDefinition({
+        help: 'Largest consumer lag of the owned partitions, excluding partitions with unknown lag'
+      , name: `${namePrefix}rdkafka_topic_consumer_lag_max`
+      , labelNames: topicLabelNames
       })
-    , BROKER_RTT_AVG: this.makeRdkafkaGauge({
-        help: 'Broker latency / round-trip time in microseconds (average value)'
-      , name: `${namePrefix}rdkafka_broker_rtt_avg`
-      , labelNames: brokerLabelNames
+    , TOPIC_CONSUMER_CATCH_UP_TIME: gaugeDefinition({
+        help: 'Estimated time to consume the lag of the owned partitions at the consume rate since the previous statistics (seconds)'
+      , name: `${namePrefix}rdkafka_topic_consumer_catch_up_time`
+      , labelNames: topicLabelNames
+      , unit: 'seconds'
       })
-    , BROKER_RTT_SUM: this.makeRdkafkaGauge({
-        help: 'Broker latency / round-trip time in microseconds (sum of values)'
-      , name: `${namePrefix}rdkafka_broker_rtt_sum`
-      , labelNames: brokerLabelNames
+      // Derived consumer lag metrics over all partitions owned by the handle
+    , CGRP_CONSUMER_LAG: gaugeDefinition({
+        help: 'Total consumer lag of the owned partitions, excluding partitions with unknown lag'
+      , name: `${namePrefix}rdkafka_cgrp_consumer_lag`
+      , labelNames: cgrpLabelNames
       })
-    , BROKER_RTT_CNT: this.makeRdkafkaGauge({
-        help: 'Broker latency / round-trip time in microseconds (number of value samples)'
-      , name: `${namePrefix}rdkafka_broker_rtt_cnt`
-      , labelNames: brokerLabelNames
+    , CGRP_CONSUMER_LAG_MAX: gaugeDefinition({
+        help: 'Largest consumer lag of the owned partitions, excluding partitions with unknown lag'
+      , name: `${namePrefix}rdkafka_cgrp_consumer_lag_max`
+      , labelNames: cgrpLabelNames
       })
-    , BROKER_THROTTLE_MIN: this.makeRdkafkaGauge({
-        help: 'Broker throttling time in milliseconds (smallest value)'
-      , name: `${namePrefix}rdkafka_broker_throttle_min`
-      , labelNames: brokerLabelNames
+    , CGRP_CONSUMER_CATCH_UP_TIME: gaugeDefinition({
+        help: 'Estimated time to consume the lag of the owned partitions at the consume rate since the previous statistics (seconds)'
+      , name: `${namePrefix}rdkafka_cgrp_consumer_catch_up_time`
+      , labelNames: cgrpLabelNames
+      , unit: 'seconds'
       })
-    , BROKER_THROTTLE_MAX: this.makeRdkafkaGauge({
-        help: 'Broker throttling time in milliseconds (largest value)'
-      , name: `${namePrefix}rdkafka_broker_throttle_max`
-      , labelNames: brokerLabelNames
+      // Metrics from the events of attached clients
+    , EVENT_ERRORS: totalDefinition({
+        help: 'Total number of error events, with the librdkafka error code'
+      , name: `${namePrefix}rdkafka_event_errors`
+      , labelNames: [...globalLabelNames, 'code']
       })
-    , BROKER_THROTTLE_AVG: this.makeRdkafkaGauge({
-        help: 'Broker throttling time in milliseconds (average value)'
-      , name: `${namePrefix}rdkafka_broker_throttle_avg`
+    , EVENT_THROTTLES: totalDefinition({
+        help: 'Total number of throttle events of the broker'
+      , name: `${namePrefix}rdkafka_event_throttles`
       , labelNames: brokerLabelNames
       })
-    , BROKER_THROTTLE_SUM: this.makeRdkafkaGauge({
-        help: 'Broker throttling time in milliseconds (sum of values)'
-      , name: `${namePrefix}rdkafka_broker_throttle_sum`
+    , EVENT_THROTTLE_TIME: totalDefinition({
+        help: 'Total time the broker throttled requests according to throttle events (milliseconds)'
+      , name: `${namePrefix}rdkafka_event_throttle_time`
       , labelNames: brokerLabelNames
-      })
-    , BROKER_THROTTLE_CNT: this.makeRdkafkaGauge({
-        help: 'Broker throttling time in milliseconds (number of value samples)'
-      , name: `${namePrefix}rdkafka_broker_throttle_cnt`
-      , labelNames: brokerLabelNames
-      })
-    , BROKER_TOPPARS_PARTITION: this.makeRdKafkaCounter({
-        help: 'Partitions handled by this broker handle'
-      , name: `${namePrefix}rdkafka_broker_toppars_partition`
-      , labelNames: topparsLabelNames
-      })
-      // Per-Topic metrics
-    , TOPIC_METADATA_AGE: this.makeRdkafkaGauge({
-        help: 'Age of metadata from broker for this topic (milliseconds)'
-      , name: `${namePrefix}rdkafka_topic_metadata_age`
+      , unit: 'milliseconds'
+      })
+    , EVENT_REBALANCES: totalDefinition({
+        help: 'Total number of rebalance events, with assign, revoke or error in the event label'
+      , name: `${namePrefix}rdkafka_event_rebalances`
+      , labelNames: [...globalLabelNames, 'event']
+      })
+    , EVENT_ASSIGNMENT: gaugeDefinition({
+        help: 'Partitions assigned to the consumer according to the rebalance events (always 1)'
+      , name: `${namePrefix}rdkafka_event_assignment`
+      , labelNames: [...topicLabelNames, 'partition']
+      })
+    , EVENT_DELIVERY_REPORTS: totalDefinition({
+        help: 'Total number of delivery reports, with the librdkafka error code (0 for delivered messages)'
+      , name: `${namePrefix}rdkafka_event_delivery_reports`
+      , labelNames: [...topicLabelNames, 'code']
+      })
+    , EVENT_DELIVERY_LATENCY: histogramDefinition({
+        help: 'Time from the timestamp of delivered messages until their delivery report (milliseconds)'
+      , name: `${namePrefix}rdkafka_event_delivery_latency`
       , labelNames: topicLabelNames
+      , unit: 'milliseconds'
       })
-      // Per-Topic-Per-Partition metrics
-    , TOPIC_PARTITION_LEADER: this.makeRdkafkaGauge({
-        help: 'Current leader broker id'
-      , name: `${namePrefix}rdkafka_topic_partition_leader`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_DESIRED: this.makeRdkafkaGauge({
-        help: 'Partition is explicitly desired by application (1 = true, 0 = false)'
-      , name: `${namePrefix}rdkafka_topic_partition_desired`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_UNKNOWN: this.makeRdkafkaGauge({
-        help: 'Partition is not seen in topic metadata from broker (1 = true, 0 = false)'
-      , name: `${namePrefix}rdkafka_topic_partition_unknown`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_MSGQ_CNT: this.makeRdkafkaGauge({
-        help: 'Number of messages waiting to be produced in first-level queue'
-      , name: `${namePrefix}rdkafka_topic_partition_msgq_cnt`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_MSGQ_BYTES: this.makeRdkafkaGauge({
-        help: 'Number of bytes in msgq_cnt'
-      , name: `${namePrefix}rdkafka_topic_partition_msgq_bytes`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_XMIT_MSGQ_CNT: this.makeRdkafkaGauge({
-        help: 'Number of messages ready to be produced in transmit queue'
-      , name: `${namePrefix}rdkafka_topic_partition_xmit_msgq_cnt`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_XMIT_MSGQ_BYTES: this.makeRdkafkaGauge({
-        help: 'Number of bytes in xmit_msqg'
-      , name: `${namePrefix}rdkafka_topic_partition_xmit_msgq_bytes`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_FETCHQ_CNT: this.makeRdkafkaGauge({
-        help: 'Number of pre-fetched messages in fetch queue'
-      , name: `${namePrefix}rdkafka_topic_partition_fetchq_cnt`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_FETCHQ_SIZE: this.makeRdkafkaGauge({
-        help: 'Bytes in fetchq'
-      , name: `${namePrefix}rdkafka_topic_partition_fetchq_size`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_FETCH_STATE: this.makeRdkafkaGauge({
-        help: `Consumer fetch state for this partition (${FETCH_STATES.map((value, index) => { return `${index} = ${value}` }).join(',')})`
-      , name: `${namePrefix}rdkafka_topic_partition_fetch_state`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_QUERY_OFFSET: this.makeRdkafkaGauge({
-        help: 'Current/Last logical offset query'
-      , name: `${namePrefix}rdkafka_topic_partition_query_offset`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_NEXT_OFFSET: this.makeRdkafkaGauge({
-        help: 'Next offset to fetch'
-      , name: `${namePrefix}rdkafka_topic_partition_next_offset`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_APP_OFFSET: this.makeRdkafkaGauge({
-        help: 'Offset of last message passed to application'
-      , name: `${namePrefix}rdkafka_topic_partition_app_offset`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_STORED_OFFSET: this.makeRdkafkaGauge({
-        help: 'Offset to be committed'
-      , name: `${namePrefix}rdkafka_topic_partition_stored_offset`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_COMMITTED_OFFSET: this.makeRdkafkaGauge({
-        help: 'Last committed offset'
-      , name: `${namePrefix}rdkafka_topic_partition_committed_offset`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_EOF_OFFSET: this.makeRdkafkaGauge({
-        help: 'Last PARTITION_EOF signaled offset'
-      , name: `${namePrefix}rdkafka_topic_partition_eof_offset`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_LO_OFFSET: this.makeRdkafkaGauge({
-        help: 'Partition\'s low watermark offset on broker'
-      , name: `${namePrefix}rdkafka_topic_partition_lo_offset`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_HI_OFFSET: this.makeRdkafkaGauge({
-        help: 'Partition\'s high watermark offset on broker'
-      , name: `${namePrefix}rdkafka_topic_partition_hi_offset`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_CONSUMER_LAG: this.makeRdkafkaGauge({
-        help: 'Difference between hi_offset - app_offset'
-      , name: `${namePrefix}rdkafka_topic_partition_consumer_lag`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_TXMSGS: this.makeRdKafkaCounter({
-        help: 'Total number of messages transmitted (produced)'
-      , name: `${namePrefix}rdkafka_topic_partition_txmsgs`
-      , labelNames: topicPartitionLabelNames
-      })
-    , TOPIC_PARTITION_TXBYTES: this.makeRdKafkaCounter({
-        help: 'Total number of bytes transmitted'
-      , name: `${namePrefix}rdkafka_topic_partition_txbytes`
-      , labelNames: topicPartitionLabelNames
+    , EVENT_DISCONNECTS: totalDefinition({
+        help: 'Total number of disconnected events'
+      , name: `${namePrefix}rdkafka_event_disconnects`
+      , labelNames: globalLabelNames
       })
-    , TOPIC_PARTITION_MSGS: this.makeRdKafkaCounter({
-        help: 'Total number of messages received (consumed)'
-      , name: `${namePrefix}rdkafka_topic_partition_msgs`
-      , labelNames: topicPartitionLabelNames
+      // Metrics about the statistics and the collector itself
+    , COLLECTOR_LAST_STATS_TIMESTAMP: gaugeDefinition({
+        help: 'Time the latest statistics of the handle were received in seconds since the epoch'
+      , name: `${namePrefix}rdkafka_collector_last_stats_timestamp`
+      , labelNames: globalLabelNames
+      , unit: 'seconds'
       })
-    , TOPIC_PARTITION_RX_VER_DROPS: this.makeRdKafkaCounter({
-        help: 'Dropped outdated messages'
-      , name: `${namePrefix}rdkafka_topic_partition_rx_ver_drops`
-      , labelNames: topicPartitionLabelNames
+    , COLLECTOR_STATS_INTERVAL: gaugeDefinition({
+        help: 'Time between receiving the latest two statistics of the handle (seconds)'
+      , name: `${namePrefix}rdkafka_collector_stats_interval`
+      , labelNames: globalLabelNames
+      , unit: 'seconds'
       })
-      // Consumer group metrics
-    , CGRP_REBALANCE_AGE: this.makeRdkafkaGauge({
-        help: 'Time elapsed since last rebalance (assign or revoke) (milliseconds)'
-      , name: `${namePrefix}rdkafka_cgrp_rebalance_age`
-      , labelNames: cgrpLabelNames
+    , COLLECTOR_STATS_SIZE: gaugeDefinition({
+        help: 'Size of the latest statistics JSON of the handle in bytes'
+      , name: `${namePrefix}rdkafka_collector_stats_size`
+      , labelNames: globalLabelNames
+      , unit: 'bytes'
       })
-    , CGRP_REBALANCE_CNT: this.makeRdkafkaGauge({
-        help: 'Total number of rebalances (assign or revoke)'
-      , name: `${namePrefix}rdkafka_cgrp_rebalance_cnt`
-      , labelNames: cgrpLabelNames
+    , COLLECTOR_TRANSLATION_TIME: gaugeDefinition({
+        help: 'Time spent translating the latest statistics of the handle into metrics (seconds)'
+      , name: `${namePrefix}rdkafka_collector_translation_time`
+      , labelNames: globalLabelNames
+      , unit: 'seconds'
       })
-    , CGRP_ASSIGNMENT_SIZE: this.makeRdkafkaGauge({
-        help: 'Current assignment\'s partition count'
-      , name: `${namePrefix}rdkafka_cgrp_assignment_size`
-      , labelNames: cgrpLabelNames
+    , COLLECTOR_UNKNOWN_METRICS: totalDefinition({
+        help: 'Total number of statistics with the key that is not known to the collector'
+      , name: `${namePrefix}rdkafka_collector_unknown_metrics`
+      , labelNames: [...globalLabelNames, 'key']
       })
     }
-    /* eslint-enable sort-keys */
-    this.extraLabels = extraLabels
+    /* eslint-enable sort-keys */
+
+    /**
+     * Keys of the metrics that are not exported
+     */
+    this.disabledMetrics = new Set(Object.keys(definitions).filter((key) => { return !this._isMetricEnabled(key, definitions[key]) }))
+    this.metrics = this._createMetrics(definitions)
+    this.extraLabels = extraLabels
+    this.handleLabels = handleLabels
+
+    /**
+     * Names of labels that were passed without being declared in `handleLabels`, and we have warned the user about.
+     */
+    this.warnedUnknownLabels = new Set()
+
+    /**
+   * Set of names of metrics that were unknown and we have warned the user about.
+   */
+    this.warnedUnknownMetrics = new Set()
+
+    /**
+     * Series set for each handle, keyed by handle name and then by metric name and labels.
+     *
+     * Each entry counts the statistics it was missing from, so that series for partitions, topics and brokers
+     * that went away can be removed.
+     */
+    this.series = new Map()
+
+    /**
+     * Statistics and observe options of each handle that were not translated yet, when translating lazily
+     */
+    this.pendingStats = new Map()
+
+    /**
+     * Timestamp and application offsets of the owned partitions of each consumer handle in the previous statistics,
+     * to determine the consume rate
+     */
+    this.consumedOffsets = new Map()
+
+    /**
+     * Totals of the counters of aggregated partitions of each handle, by handle and then by metric name and topic
+     * labels, with the previous value of each partition
+     */
+    this.aggregatedCounters = new Map()
+
+    /**
+     * Time the latest statistics of each handle were received, in milliseconds since the epoch
+     */
+    this.lastReceived = new Map()
+
+    /**
+     * Milliseconds between the latest two statistics of each handle
+     */
+    this.observedIntervals = new Map()
+
+    /**
+     * Number of times each handle reported each unknown key, by handle and then by key
+     */
+    this.unknownMetrics = new Map()
+
+    /**
+     * Latest statistics of each handle, to evaluate the health
+     */
+    this.snapshots = new Map()
+
+    /**
+     * Whether each handle was healthy when its health was last evaluated with the configured rules
+     */
+    this.handleHealth = new Map()
+    this.healthRules = {brokersUp: true
+    , cgrpUp: true
+    , fetchStates: ['offset-query', 'offset-wait']
+    , maxLag: Infinity
+    , maxStaleIntervals: 3
+    , maxStaleness: Infinity, ...health}
+    this.lazy = lazy
+
+    /**
+     * Collector function registered with the registries when translating lazily
+     */
+    this.lazyCollector = null
+    if (lazy) {
+      this.lazyCollector = () => { this.collect() }
+      this.sink.addCollector(this.lazyCollector)
+    }
 
     /**
-   * Set of names of metrics that were unknown and we have warned the user about.
-   */
-    this.warnedUnknownMetrics = new Set()
+     * Functions detaching the collector from the clients it is attached to
+     */
+    this.detachers = new Set()
   }
-  // Note that rdkafka classifies metrics as type 'counter' (or 'int'), but effectively we cannot use
-  // prometheus.Counter here, as that only allows incrementing (rightfully). We need a prometheus.Gauge, as we're just
-  // reporting whatever rdkafka tells.
+  // Note that rdkafka classifies metrics as type 'counter' (or 'int'), but prometheus.Counter only allows incrementing
+  // (rightfully), while we're just reporting whatever rdkafka tells. By default these are therefore a prometheus.Gauge.
+  // With the `counters` option they become a prometheus.Counter, which gets incremented by the difference to the
+  // previously reported value (see _setMetric()).
   // At the same time all rdkafka 'gauge' metrics could be histograms for us, where we'd record the seen values over time. This would lead to
   // issues in having to define the buckets though, and would make it harder to produce "current" statistics.
-  // Abstract this into two functions so it can be looked at later.
-  makeRdKafkaCounter(counterOptions) {
-    return new prometheus.Gauge(Object.assign(counterOptions, {registers: this.registers}))
+  // Only the window statistics, which rdkafka already summarizes, can be exported as summaries or histograms with the
+  // `windows` option (see makeRdkafkaWindowMetric()).
+  makeRdKafkaCounter({help, name, labelNames, key, unit}) {
+    if (this.counters) {
+      return this._createMetric('counter', {help, key, labelNames, name, unit})
+    }
+    return this.makeRdkafkaGauge({help, key, labelNames, name, unit})
+  }
+  // Events and unknown keys are counted by the collector itself, so these always are a prometheus.Counter
+  makeCollectorCounter({help, name, labelNames, key, unit}) {
+    return this._createMetric('counter', {help, key, labelNames, name, unit})
+  }
+  makeRdkafkaGauge({help, name, labelNames, key, unit}) {
+    return this._createMetric('gauge', {help, key, labelNames, name, unit})
+  }
+  _createMetric(type, {key, labelNames, unit, ...definition}) {
+    const metric = this.sink.createMetric(type, {
+      ...definition
+    , labelNames: this._relabelNames(labelNames)
+      // Durations are converted to seconds with the `baseUnits` option
+    , unit: this.unitDivisors[key] ? 'seconds' : unit
+    })
+    if (type === 'counter') {
+      this.counterMetrics.add(metric)
+    }
+    return metric
+  }
+  _schemaDefinitions(namePrefix, globalLabelNames) {
+    const definitions = {}
+    for (const node of this.schema.values()) {
+      const key = node.key && node.key.toUpperCase()
+      const labelNames = this.aggregatePartitions && node.aggregatedLabelNames ? node.aggregatedLabelNames : node.labelNames
+      const definition = {
+        help: node.help
+      , labelNames: [...globalLabelNames, ...labelNames]
+      , level: node.level
+      , name: `${namePrefix}rdkafka_${node.key}`
+      , unit: node.unit
+      }
+      if (node.aggregatedLabelNames) {
+        definition.aggregatable = Boolean(node.aggregatable)
+      }
+      switch (node.type) {
+        case 'counter':
+          definitions[key] = counterDefinition(definition)
+          break
+        case 'gauge':
+          definitions[key] = gaugeDefinition(definition)
+          break
+        case 'state':
+          definitions[key] = stateDefinition({...definition, states: node.states})
+          break
+        case 'window':
+          Object.assign(definitions, windowDefinitions({...definition, key}))
+          break
+        default:
+          // Labels, ignored fields, objects and dicts are not exported as metrics
+          break
+      }
+    }
+    return definitions
+  }
+  _isMetricEnabled(key, {aggregatable, level, window}) {
+    // Summaries and histograms replace the metrics of the fields of windows
+    if (window && this.windows !== 'gauges') {
+      return false
+    }
+    if (level && !this.levels[level]) {
+      return false
+    }
+    // Offsets, ids and states of different partitions cannot be summed up meaningfully
+    if (this.aggregatePartitions && aggregatable === false) {
+      return false
+    }
+    if (this.includeMetrics && !matchesAny(key, this.includeMetrics)) {
+      return false
+    }
+    return !matchesAny(key, this.excludeMetrics)
+  }
+  _createMetrics(definitions) {
+    const metrics = {}
+    for (const key of Object.keys(definitions)) {
+      if (this.disabledMetrics.has(key)) {
+        continue
+      }
+      const definition = this.baseUnits ? baseUnitDefinition(definitions[key]) : definitions[key]
+      const {type, unit, ...options} = {...definition, ...this.metricOverrides[key]}
+      if (this.baseUnits && SECONDS_DIVISORS[unit] > 1) {
+        this.unitDivisors[key] = SECONDS_DIVISORS[unit]
+      }
+      switch (type) {
+        case 'counter':
+          metrics[key] = this.makeRdKafkaCounter({...options, key, unit})
+          break
+        case 'total':
+          metrics[key] = this.makeCollectorCounter({...options, key, unit})
+          break
+        case 'state':
+          metrics[key] = this.makeRdkafkaStateGauge(options)
+          break
+        case 'window':
+          metrics[key] = this.makeRdkafkaWindowMetric({...options, key, unit})
+          break
+        case 'histogram':
+          metrics[key] = this.makeRdkafkaHistogram({...options, key, unit})
+          break
+        default:
+          metrics[key] = this.makeRdkafkaGauge({...options, key, unit})
+          break
+      }
+    }
+    return metrics
+  }
+  _relabel(labels) {
+    if (!this.relabel) {
+      return labels
+    }
+    const result = {}
+    for (const name of Object.keys(labels)) {
+      const target = name in this.relabel ? this.relabel[name] : name
+      if (target !== false) {
+        result[target] = labels[name]
+      }
+    }
+    return result
+  }
+  _relabelNames(labelNames) {
+    if (!this.relabel) {
+      return labelNames
+    }
+    return labelNames.map((name) => {
+      return name in this.relabel ? this.relabel[name] : name
+    }).filter((name) => { return name !== false })
+  }
+  makeRdkafkaStateGauge({help, name, labelNames, states}) {
+    if (this.stateSets) {
+      return this.makeRdkafkaGauge({help: `${help} (1 for the current state in the state label, 0 for the others)`, name, labelNames: [...labelNames, 'state']})
+    }
+    return this.makeRdkafkaGauge({help: `${help} (${describeStates(states)})`, name, labelNames})
   }
-  makeRdkafkaGauge(gaugeOptions) {
-    return new prometheus.Gauge(Object.assign(gaugeOptions, {registers: this.registers}))
+  makeRdkafkaWindowMetric({help, name, labelNames, buckets, key, unit}) {
+    if (this.windows === 'gauges') {
+      return this.makeRdkafkaGauge({help: `${help} (percentiles)`, key, labelNames: [...labelNames, 'quantile'], name, unit})
+    }
+    const divisor = this.unitDivisors[key] || 1
+    return this._createMetric('window', {
+      buckets: buckets || DEFAULT_BUCKETS[unit || 'count'].map((bound) => { return bound / divisor })
+    , help
+    , key
+    , labelNames
+    , name
+    , unit
+    , windows: this.windows
+    })
+  }
+  makeRdkafkaHistogram({help, name, labelNames, buckets, key, unit}) {
+    const divisor = this.unitDivisors[key] || 1
+    return this._createMetric('histogram', {
+      buckets: buckets || DEFAULT_BUCKETS[unit].map((bound) => { return bound / divisor })
+    , help
+    , key
+    , labelNames
+    , name
+    , unit
+    })
   }
   _translateRdkafkaStat(key, value, labels, valueMapper = (v) => { return v }) {
     const metric = this.metrics[key.toUpperCase()]
     if (metric) {
       try {
-		/* istanbul ignore next */
-        const observe = 'observe' in metric ? 'observe' : 'set'
-        metric[observe](labels, valueMapper(value))
+        this._setMetric(metric, labels, this._toBaseUnit(key.toUpperCase(), valueMapper(value)))
       } catch (e) { /* istanbul ignore next */
-        // FIXME: prometheus.Counter doesn't have a "set value to", but only a "inc value by".
         logger.warn(`Cannot determine how to observice metric ${metric.name}`)
       }
-    } else if (!this.warnedUnknownMetrics.has(key)) {
+    } else if (!this.disabledMetrics.has(key.toUpperCase())) {
+      this._recordUnknownMetric(key, labels)
+    }
+  }
+
+  _recordUnknownMetric(key, labels) {
+    let handleUnknownMetrics = this.unknownMetrics.get(labels.handle)
+    if (!handleUnknownMetrics) {
+      handleUnknownMetrics = new Map()
+      this.unknownMetrics.set(labels.handle, handleUnknownMetrics)
+    }
+    handleUnknownMetrics.set(key, (handleUnknownMetrics.get(key) || 0) + 1)
+    if (!this.warnedUnknownMetrics.has(key)) {
       this.warnedUnknownMetrics.add(key)
       logger.warn(`Unknown metric ${key} (labels ${JSON.stringify(labels)})`)
     }
   }
 
-  _translateRdKafkaBrokerWindowStats(windowKey, brokerWindowStats, brokerLabels) {
-    for (const key of Object.keys(brokerWindowStats)) {
-      this._translateRdkafkaStat(`broker_${windowKey}_${key}`, brokerWindowStats[key], brokerLabels)
+  _translateRdkafkaStateStat(key, state, labels, states, description) {
+    if (!this.stateSets) {
+      this._translateRdkafkaStat(key, state, labels, stateMapper(states, description))
+      return
+    }
+    // StateSet: one series per known state, plus one for a state rdkafka added after this was written
+    for (const knownState of states.includes(state) ? states : [...states, state]) {
+      this._translateRdkafkaStat(key, knownState === state ? 1 : 0, {...labels, state: knownState})
     }
   }
 
-  _translateRdKafkaBrokerTopparsStats(brokerTopparsStats, brokerLabels) {
-    const brokerTopparsLabels = {...brokerLabels, topic: brokerTopparsStats.topic}
+  _toBaseUnit(key, value) {
+    const divisor = this.unitDivisors[key]
+    // Negative values mean "not available" in rdkafka, keep them recognizable as such
+    if (!divisor || value < 0) {
+      return value
+    }
+    return value / divisor
+  }
 
-    for (const key of Object.keys(brokerTopparsStats)) {
-      switch (key) {
-        case 'topic':
-          // Ignore: part of brokerTopparsLabels
-          break
-        default:
-          this._translateRdkafkaStat(`broker_toppars_${key}`, brokerTopparsStats[key], brokerTopparsLabels)
-          break
+  _setMetric(metric, rdkafkaLabels, value) {
+    const labels = this._relabel(rdkafkaLabels)
+    const entry = this._trackSeries(metric, rdkafkaLabels.handle, labels)
+    if (this.counterMetrics.has(metric)) {
+      // librdkafka reports totals: increment by the difference to the previous total. A total lower than the previous one
+      // means librdkafka started counting from 0 again (for example a new handle with the same name), so the counter
+      // continues from there. Negative values mean "not available" in librdkafka.
+      if (value >= 0) {
+        const previous = entry.value
+        metric.inc(labels, previous === undefined || value < previous ? value : value - previous)
+        entry.value = value
       }
+    } else {
+      /* istanbul ignore next */
+      const observe = 'observe' in metric ? 'observe' : 'set'
+      metric[observe](labels, value)
     }
   }
 
-  _translateRdkafkaBrokerStats(brokerStats, globalLabels) {
-    const brokerLabels = {...globalLabels, name: brokerStats.name
-    , nodeid: brokerStats.nodeid}
+  _trackSeries(metric, handle, labels) {
+    let handleSeries = this.series.get(handle)
+    if (!handleSeries) {
+      handleSeries = new Map()
+      this.series.set(handle, handleSeries)
+    }
+    const key = `${metric.name}${labelsKey(labels)}`
+    let entry = handleSeries.get(key)
+    if (!entry) {
+      entry = {metric, labels}
+      handleSeries.set(key, entry)
+    }
+    // Start at -1: the sweep at the end of the current observe() increments this to 0.
+    entry.missed = -1
+    return entry
+  }
 
-    for (const key of Object.keys(brokerStats)) {
-      switch (key) {
-        case 'name':
-        case 'nodeid':
-          // Ignore: these are in brokerLabels already
-          break
-        case 'int_latency':
-        case 'rtt':
-        case 'throttle':
-          this._translateRdKafkaBrokerWindowStats(key, brokerStats[key], brokerLabels)
-          break
-        case 'toppars':
-          for (const topparName of Object.keys(brokerStats[key])) {
-            this._translateRdKafkaBrokerTopparsStats(brokerStats[key][topparName], brokerLabels)
-          }
-          break
-        case 'state':
-          this._translateRdkafkaStat(`broker_${key}`, brokerStats[key], brokerLabels, (state) => {
-            const value = BROKER_STATES.indexOf(state)
-			/* istanbul ignore if */
-            if (value === -1) {
-              logger.warn(`Cannot map rdkafka broker state '${state}' to prometheus value`)
-            }
-            return value
-          })
-          break
-        default:
-          this._translateRdkafkaStat(`broker_${key}`, brokerStats[key], brokerLabels)
-          break
+  _removeStaleSeries(handle) {
+    const handleSeries = this.series.get(handle)
+    /* istanbul ignore if */
+    if (!handleSeries) {
+      return
+    }
+    for (const [key, entry] of handleSeries) {
+      entry.missed++
+      if (entry.missed > this.staleGracePeriod) {
+        removeSeries(entry.metric, entry.labels)
+        handleSeries.delete(key)
       }
     }
   }
 
-  _translateRdkafkaTopicPartitionStats(statKey, topicPartitionStats, topicLabels) {
-    const topicPartitionLabels = {...topicLabels, partition: topicPartitionStats.partition}
-    for (const key of Object.keys(topicPartitionStats)) {
-      switch (key) {
-        case 'partition':
-          // Ignore: Part of the topic partition labels
-          break
-        case 'desired':
-        case 'unknown':
-          this._translateRdkafkaStat(`topic_partition_${key}`, topicPartitionStats[key], topicPartitionLabels, (state) => {
-			/* istanbul ignore next */
-            return state ? 1 : 0
-          })
-          break
-        case 'fetch_state':
-          this._translateRdkafkaStat(`topic_partition_${key}`, topicPartitionStats[key], topicPartitionLabels, (state) => {
-            const value = FETCH_STATES.indexOf(state)
-			/* istanbul ignore if */
-            if (value === -1) {
-              logger.warn(`Cannot map rdkafka topic partition fetch state '${state}' to prometheus value`)
-            }
-            return value
-          })
-          break
-        case 'commited_offset':
-          // Ignore: see https://github.com/edenhill/librdkafka/issues/80
-          break
-        default:
-          this._translateRdkafkaStat(`topic_partition_${key}`, topicPartitionStats[key], topicPartitionLabels)
-          break
+  _translateRdkafkaWindowStats(windowKey, windowStats, labels) {
+    if (this.windows !== 'gauges') {
+      const metric = this.metrics[windowKey.toUpperCase()]
+      if (metric) {
+        const window = {}
+        for (const key of Object.keys(windowStats)) {
+          window[key] = ['cnt', 'hdrsize', 'outofrange'].includes(key) ? windowStats[key] : this._toBaseUnit(windowKey.toUpperCase(), windowStats[key])
+        }
+        this._setMetric(metric, labels, window)
+      }
+      return
+    }
+    for (const key of Object.keys(windowStats)) {
+      if (key in WINDOW_QUANTILES) {
+        this._translateRdkafkaStat(windowKey, windowStats[key], {...labels, quantile: WINDOW_QUANTILES[key]})
+      } else {
+        this._translateRdkafkaStat(`${windowKey}_${key}`, windowStats[key], labels)
       }
     }
   }
 
-  _translateRdkafkaTopicStats(topicStats, globalLabels) {
-    const topicLabels = {...globalLabels, topic: topicStats.topic}
-    for (const key of Object.keys(topicStats)) {
-      switch (key) {
-        case 'topic':
-          // Ignore: Part of the topic labels
-          break
-        case 'partitions':
-          for (const topicPartitionId of Object.keys(topicStats[key])) {
-            this._translateRdkafkaTopicPartitionStats(key, topicStats[key][topicPartitionId], topicLabels)
-          }
-          break
-        default:
-          this._translateRdkafkaStat(`topic_${key}`, topicStats[key], topicLabels)
-          break
+  _translateSchemaObject(node, stats, parentLabels, options) {
+    const labels = {...parentLabels}
+    for (const [field, child] of node.children) {
+      if (child.type === 'label') {
+        labels[child.label] = stats[field]
+      }
+    }
+    for (const name of node.optionLabels || []) {
+      labels[name] = options[name] === undefined ? '' : options[name]
+    }
+    if (node.filtered && !this._isTopicIncluded(labels.topic)) {
+      return
+    }
+    for (const field of Object.keys(stats)) {
+      const child = node.children.get(field)
+      if (child) {
+        this._translateSchemaField(child, stats[field], labels, options)
+      } else {
+        this._recordUnknownMetric(`${node.prefix}${field}`, labels)
+      }
+    }
+  }
+
+  _translateSchemaDict(node, dict, labels, options) {
+    const item = node.children.get('*')
+    let keys = Object.keys(dict)
+    if (node.partitions) {
+      keys = keys.filter((key) => {
+        return !this.skipUnassignedPartition || dict[key].partition !== -1
+      })
+      if (this.aggregatePartitions) {
+        this._translateRdkafkaAggregatedPartitionStats(item, keys.map((key) => { return dict[key] }), labels)
+        return
       }
     }
+    for (const key of keys) {
+      this._translateSchemaField(item, dict[key], node.label ? {...labels, [node.label]: key} : labels, options)
+    }
   }
 
-  _translateRdkafkaCgrpStats(cgrpStats, globalLabels) {
-    const cgrpLabels = {...globalLabels}
-    for (const key of Object.keys(cgrpStats)) {
-      this._translateRdkafkaStat(`cgrp_${key}`, cgrpStats[key], cgrpLabels)
+  _translateSchemaField(node, value, labels, options) {
+    if (node.level && !this.levels[node.level]) {
+      return
+    }
+    switch (node.type) {
+      case 'label':
+      case 'ignored':
+        // Labels are part of the labels of their object already
+        break
+      case 'object':
+        this._translateSchemaObject(node, value, labels, options)
+        break
+      case 'dict':
+        this._translateSchemaDict(node, value, labels, options)
+        break
+      case 'state':
+        this._translateRdkafkaStateStat(node.key, value, labels, node.states, node.description)
+        break
+      case 'window':
+        this._translateRdkafkaWindowStats(node.key, value, labels)
+        break
+      default:
+        if (node.valueLabel) {
+          this._translateRdkafkaStat(node.key, 1, {...labels, [node.valueLabel]: value})
+        } else {
+          this._translateRdkafkaStat(node.key, value, labels, node.mapper)
+        }
+        break
     }
   }
 
-  _translateRdkafkaStats(stats) {
-    const globalLabels = {...this.extraLabels, handle: stats.name
-    , type: stats.type}
-    for (const key of Object.keys(stats)) {
-      switch (key) {
-        case 'name':
-        case 'type':
-          // Ignore: these are global labels
-          break
-        case 'brokers':
-          for (const brokerName of Object.keys(stats[key])) {
-            this._translateRdkafkaBrokerStats(stats[key][brokerName], globalLabels)
-          }
-          break
-        case 'topics':
-          for (const topicName of Object.keys(stats[key])) {
-            this._translateRdkafkaTopicStats(stats[key][topicName], globalLabels)
+  _translateRdkafkaAggregatedPartitionStats(partitionNode, partitions, topicLabels) {
+    const totals = {}
+    for (const topicPartitionStats of partitions) {
+      for (const key of Object.keys(topicPartitionStats)) {
+        const field = partitionNode.children.get(key)
+        if (!field || !field.aggregatable) {
+          continue
+        }
+        // Negative values mean "unknown" in rdkafka (for example a consumer_lag of -1), and would distort the total.
+        const value = Math.max(Number(topicPartitionStats[key]), 0)
+        const counter = this._aggregatedCounter(field.key, topicLabels)
+        if (counter) {
+          // A revoked partition lowers the sum, which must not look like librdkafka counting from 0 again: add up the
+          // increases of each partition instead.
+          const previous = counter.partitions.get(topicPartitionStats.partition)
+          counter.total += previous === undefined || value < previous ? value : value - previous
+          counter.partitions.set(topicPartitionStats.partition, value)
+          totals[field.key] = counter.total
+        } else {
+          totals[field.key] = (totals[field.key] || 0) + value
+        }
+      }
+    }
+    for (const key of Object.keys(totals)) {
+      this._translateRdkafkaStat(key, totals[key], topicLabels)
+    }
+  }
+
+  _aggregatedCounter(key, topicLabels) {
+    const metric = this.metrics[key.toUpperCase()]
+    if (!this.counterMetrics.has(metric)) {
+      return null
+    }
+    let handleCounters = this.aggregatedCounters.get(topicLabels.handle)
+    if (!handleCounters) {
+      handleCounters = new Map()
+      this.aggregatedCounters.set(topicLabels.handle, handleCounters)
+    }
+    const counterKey = `${metric.name}${labelsKey(topicLabels)}`
+    let counter = handleCounters.get(counterKey)
+    if (!counter) {
+      counter = {partitions: new Map(), total: 0}
+      handleCounters.set(counterKey, counter)
+    }
+    return counter
+  }
+
+  _isTopicIncluded(topic) {
+    if (this.includeTopics && !matchesAny(topic, this.includeTopics)) {
+      return false
+    }
+    return !matchesAny(topic, this.excludeTopics)
+  }
+
+  _translateRdkafkaConsumerLagStats(stats, globalLabels, group) {
+    const previous = this.consumedOffsets.get(stats.name)
+    // rdkafka's ts is a monotonic clock in microseconds
+    const elapsed = previous ? (stats.ts - previous.ts) / 1e6 : 0
+    const offsets = new Map()
+    const groupLag = {consumed: 0, lag: 0, max: 0}
+    for (const topicStats of Object.values(stats.topics || {})) {
+      if (!this._isTopicIncluded(topicStats.topic)) {
+        continue
+      }
+      const owned = Object.values(topicStats.partitions).filter(isOwnedPartition)
+      if (!owned.length) {
+        continue
+      }
+      const topicLag = {consumed: 0, lag: 0, max: 0}
+      for (const {app_offset: appOffset, consumer_lag: lag, partition} of owned) {
+        // Negative offsets and lags mean "unknown" in rdkafka
+        if (appOffset >= 0) {
+          const key = `${topicStats.topic}/${partition}`
+          const previousOffset = previous && previous.offsets.get(key)
+          if (previousOffset !== undefined) {
+            topicLag.consumed += Math.max(appOffset - previousOffset, 0)
           }
-          break
-        case 'cgrp':
-          this._translateRdkafkaCgrpStats(stats[key], globalLabels)
-          break
-        default:
-          this._translateRdkafkaStat(key, stats[key], globalLabels)
-          break
+          offsets.set(key, appOffset)
+        }
+        if (lag >= 0) {
+          topicLag.lag += lag
+          topicLag.max = Math.max(topicLag.max, lag)
+        }
+      }
+      this._translateRdkafkaConsumerLagRollup('topic', topicLag, elapsed, {...globalLabels, topic: topicStats.topic})
+      groupLag.consumed += topicLag.consumed
+      groupLag.lag += topicLag.lag
+      groupLag.max = Math.max(groupLag.max, topicLag.max)
+    }
+    if (stats.cgrp) {
+      this._translateRdkafkaConsumerLagRollup('cgrp', groupLag, elapsed, {...globalLabels, group})
+    }
+    this.consumedOffsets.set(stats.name, {offsets, ts: stats.ts})
+  }
+
+  _translateRdkafkaConsumerLagRollup(prefix, {consumed, lag, max}, elapsed, labels) {
+    this._translateRdkafkaStat(`${prefix}_consumer_lag`, lag, labels)
+    this._translateRdkafkaStat(`${prefix}_consumer_lag_max`, max, labels)
+    // Without consuming progress there is no estimate, unless there is nothing to catch up with.
+    const rate = elapsed > 0 ? consumed / elapsed : 0
+    if (lag === 0 || rate > 0) {
+      this._translateRdkafkaStat(`${prefix}_consumer_catch_up_time`, lag === 0 ? 0 : lag / rate, labels)
+    }
+  }
+
+  _translateRdkafkaStats(stats, globalLabels, options) {
+    this._translateSchemaObject(this.schema.get(''), stats, globalLabels, options)
+    if (stats.type === 'consumer') {
+      const {group = ''} = options
+      this._translateRdkafkaConsumerLagStats(stats, globalLabels, group)
+    }
+  }
+
+  _translateCollectorStats(labels, {interval, received, size}, translationTime) {
+    this._translateRdkafkaStat('collector_last_stats_timestamp', received / 1e3, labels)
+    if (interval !== undefined) {
+      this._translateRdkafkaStat('collector_stats_interval', interval / 1e3, labels)
+    }
+    if (size !== undefined) {
+      this._translateRdkafkaStat('collector_stats_size', size, labels)
+    }
+    this._translateRdkafkaStat('collector_translation_time', translationTime, labels)
+    for (const [key, count] of this.unknownMetrics.get(labels.handle) || []) {
+      this._translateRdkafkaStat('collector_unknown_metrics', count, {...labels, key})
+    }
+  }
+
+  // Labels of all series of a handle. Labels declared in `handleLabels` are always present, so that the series of
+  // handles with and without a value can share the metrics.
+  _globalLabels(handle, type, labels = {}) {
+    const globalLabels = {...this.extraLabels}
+    for (const name of this.handleLabels) {
+      globalLabels[name] = labels[name] === undefined ? '' : String(labels[name])
+    }
+    for (const name of Object.keys(labels)) {
+      if (!this.handleLabels.includes(name) && !this.warnedUnknownLabels.has(name)) {
+        logger.warn(`Ignoring label ${name} that is not declared in the handleLabels option`)
+        this.warnedUnknownLabels.add(name)
       }
     }
+    return {...globalLabels, handle, type}
+  }
+
+  _translate(stats, options = {}, receipt) {
+    const start = process.hrtime.bigint()
+    const globalLabels = this._globalLabels(stats.name, stats.type, options.labels)
+    this._translateRdkafkaStats(stats, globalLabels, options)
+    this._translateCollectorStats(globalLabels, receipt, Number(process.hrtime.bigint() - start) / 1e9)
+    this._removeStaleSeries(stats.name)
   }
 
   /**
@@ -608,10 +1385,372 @@ class RdkafkaStats {
   * This internally translates the statistics into many prometheus metrics.
   *
   * @param {object} stats rdkafka raw statistics
+  * @param {ObserveOptions} [options] information about the client that is not part of the statistics
+  * @return {void}
+  */
+  observe(stats, options) {
+    const received = Date.now()
+    const previous = this.lastReceived.get(stats.name)
+    this.lastReceived.set(stats.name, received)
+    const receipt = {
+      interval: previous === undefined ? undefined : received - previous
+    , received
+    , size: options && options.size
+    }
+    if (receipt.interval !== undefined) {
+      this.observedIntervals.set(stats.name, receipt.interval)
+    }
+    this.snapshots.set(stats.name, stats)
+    this._updateHandleHealth(this._evaluateHandleHealth(stats, this.healthRules, received))
+    if (this.lazy) {
+      this.pendingStats.set(stats.name, {options, receipt, stats})
+      return
+    }
+    this._translate(stats, options, receipt)
+  }
+
+  _evaluateHandleHealth(stats, rules, now) {
+    const {brokersUp, cgrpUp, fetchStates, maxLag, maxStaleIntervals, maxStaleness} = rules
+    const reasons = []
+    const age = (now - this.lastReceived.get(stats.name)) / 1e3
+    // Until a handle emitted statistics twice, its interval is unknown
+    const interval = this.observedIntervals.get(stats.name)
+    const staleIntervals = interval === undefined ? Infinity : maxStaleIntervals * interval / 1e3
+    if (age > Math.min(maxStaleness, staleIntervals)) {
+      reasons.push(`no statistics for ${age}s`)
+    }
+    if (cgrpUp && stats.cgrp && stats.cgrp.state !== 'up') {
+      reasons.push(`consumer group state is ${stats.cgrp.state}`)
+    }
+    const brokers = []
+    for (const brokerStats of Object.values(stats.brokers || {})) {
+      // Bootstrap brokers and logical brokers such as the group coordinator are not part of the cluster metadata
+      if (brokersUp && brokerStats.source === 'learned' && brokerStats.state !== 'UP') {
+        brokers.push({name: brokerStats.name, reasons: [`broker state is ${brokerStats.state}`]})
+      }
+    }
+    const partitions = []
+    for (const topicStats of Object.values(stats.topics || {})) {
+      for (const topicPartitionStats of Object.values(topicStats.partitions).filter(isOwnedPartition)) {
+        const partitionReasons = []
+        if (fetchStates.includes(topicPartitionStats.fetch_state)) {
+          partitionReasons.push(`fetch state is ${topicPartitionStats.fetch_state}`)
+        }
+        if (topicPartitionStats.consumer_lag > maxLag) {
+          partitionReasons.push(`consumer lag ${topicPartitionStats.consumer_lag} exceeds ${maxLag}`)
+        }
+        if (partitionReasons.length) {
+          partitions.push({partition: topicPartitionStats.partition, reasons: partitionReasons, topic: topicStats.topic})
+        }
+      }
+    }
+    return {
+      brokers
+    , handle: stats.name
+    , healthy: !reasons.length && !brokers.length && !partitions.length
+    , partitions
+    , reasons
+    , type: stats.type
+    }
+  }
+
+  _updateHandleHealth(handleHealth) {
+    // Handles are healthy until their statistics fail a rule
+    const previous = this.handleHealth.has(handleHealth.handle) ? this.handleHealth.get(handleHealth.handle) : true
+    this.handleHealth.set(handleHealth.handle, handleHealth.healthy)
+    if (previous !== handleHealth.healthy) {
+      this.emit(handleHealth.healthy ? 'healthy' : 'unhealthy', handleHealth)
+    }
+  }
+
+  /**
+  * Evaluate the health of the handles against their latest statistics
+  *
+  * Without rules this uses the rules configured with the `health` option, and emits `healthy` and `unhealthy` events
+  * for handles whose health changed (for example because their statistics became stale). A handle is initially
+  * considered healthy, so only `unhealthy` is emitted for the first statistics of a handle that fails a rule.
+  *
+  * @param {HealthRules} [rules] rules to use instead of the configured rules
+  * @return {Health} health of all handles
+  */
+  health(rules) {
+    const now = Date.now()
+    const handles = []
+    for (const stats of this.snapshots.values()) {
+      if (rules) {
+        handles.push(this._evaluateHandleHealth(stats, {...this.healthRules, ...rules}, now))
+      } else {
+        const handleHealth = this._evaluateHandleHealth(stats, this.healthRules, now)
+        this._updateHandleHealth(handleHealth)
+        handles.push(handleHealth)
+      }
+    }
+    return {handles, healthy: handles.every(({healthy}) => { return healthy })}
+  }
+
+  /**
+  * Compare the latest statistics of the handles with the schema
+  *
+  * Lists the fields the statistics have but the schema does not, and the fields of the schema the statistics do not
+  * have, for example after upgrading librdkafka.
+  *
+  * @param {Object} [options] options
+  * @param {string} [options.version] librdkafka version of the clients, for example node-rdkafka's `librdkafkaVersion`, to only expect the fields of that version
+  * @return {SchemaDrift} paths of the missing and unknown fields
+  */
+  schemaDrift(options = {}) {
+    return schemaDrift([...this.snapshots.values()], {...options, schema: this.schemaEntries})
+  }
+
+  /**
+  * Name the labels that tell the series of handles and collectors apart, after relabelling
+  *
+  * For example to group the series when pushing them.
+  *
+  * @return {{handleLabel: ?string, extraLabels: Object.<string,string>}} name of the handle label, null when it is
+  * dropped, and the extra labels
+  */
+  groupingLabels() {
+    const [handleLabel = null] = this._relabelNames(['handle'])
+    return {extraLabels: this._relabel(this.extraLabels), handleLabel}
+  }
+
+  /**
+  * Translate the statistics that were observed lazily
+  *
+  * The registries call this when collecting the metrics, so this is only needed when reading metrics directly
+  * from `stats.metrics` or through `registry.getSingleMetric()`. Only the latest statistics of each handle since the
+  * previous call are translated.
+  *
+  * @return {void}
+  */
+  collect() {
+    for (const {options, receipt, stats} of this.pendingStats.values()) {
+      this._translate(stats, options, receipt)
+    }
+    this.pendingStats.clear()
+  }
+
+  /**
+  * Remove all series of the given handle
+  *
+  * Use this when a client disconnects, so that its last statistics are no longer exported.
+  *
+  * @param {string} name handle name, as reported in the `name` field of the statistics
   * @return {void}
   */
-  observe(stats) {
-    this._translateRdkafkaStats(stats)
+  forgetHandle(name) {
+    this.pendingStats.delete(name)
+    this.consumedOffsets.delete(name)
+    this.aggregatedCounters.delete(name)
+    this.lastReceived.delete(name)
+    this.observedIntervals.delete(name)
+    this.unknownMetrics.delete(name)
+    this.snapshots.delete(name)
+    this.handleHealth.delete(name)
+    const handleSeries = this.series.get(name)
+    if (!handleSeries) {
+      return
+    }
+    for (const {metric, labels} of handleSeries.values()) {
+      removeSeries(metric, labels)
+    }
+    this.series.delete(name)
+  }
+
+  /**
+  * Remove the series and metrics of this collector from the registries
+  *
+  * Metrics shared with other collectors stay registered in their registries until the last of them is unregistered,
+  * only the series of this collector are removed from them. Metrics that were registered by the
+  * application and reused by this collector stay registered as well.
+  *
+  * The collector must not be used anymore afterwards.
+  *
+  * @return {void}
+  */
+  unregister() {
+    for (const name of [...this.series.keys(), ...this.snapshots.keys()]) {
+      this.forgetHandle(name)
+    }
+    this.pendingStats.clear()
+    this.sink.removeMetrics(Object.values(this.metrics))
+    if (this.lazyCollector) {
+      this.sink.removeCollector(this.lazyCollector)
+    }
+  }
+
+  /**
+  * Detach the collector from all clients and unregister it
+  *
+  * Use this in tests or when reloading the configuration, to create a new collector for the same registries.
+  *
+  * @return {void}
+  */
+  close() {
+    for (const detach of [...this.detachers]) {
+      detach()
+    }
+    this.unregister()
+  }
+
+  _updateEventMetric(eventSeries, key, rdkafkaLabels, update) {
+    const metric = this.metrics[key]
+    if (!metric) {
+      return
+    }
+    const labels = this._relabel(rdkafkaLabels)
+    eventSeries.set(`${metric.name}${labelsKey(labels)}`, {labels, metric})
+    update(metric, labels)
+  }
+
+  _countEvent(eventSeries, key, labels, value = 1) {
+    this._updateEventMetric(eventSeries, key, labels, (metric, metricLabels) => {
+      metric.inc(metricLabels, this._toBaseUnit(key, value))
+    })
+  }
+
+  _removeEventSeries(eventSeries, key, rdkafkaLabels) {
+    const metric = this.metrics[key]
+    if (!metric) {
+      return
+    }
+    const labels = this._relabel(rdkafkaLabels)
+    removeSeries(metric, labels)
+    eventSeries.delete(`${metric.name}${labelsKey(labels)}`)
+  }
+
+  _attachEvents(emitter, eventSeries, labels, forgetOnDisconnect) {
+    // Events do not contain the handle name, node-rdkafka sets it on the client when it is ready
+    const globalLabels = () => {
+      return this._globalLabels(emitter.name || '', typeof emitter.subscribe === 'function' ? 'consumer' : 'producer', labels)
+    }
+    const listeners = {
+      'delivery-report': (err, report) => {
+        const topicLabels = {...globalLabels(), topic: report.topic}
+        this._countEvent(eventSeries, 'EVENT_DELIVERY_REPORTS', {...topicLabels, code: String(err ? err.code : 0)})
+        // node-rdkafka only reports timestamps that are available
+        if (!err && report.timestamp !== undefined) {
+          this._updateEventMetric(eventSeries, 'EVENT_DELIVERY_LATENCY', topicLabels, (metric, labels) => {
+            metric.observe(labels, this._toBaseUnit('EVENT_DELIVERY_LATENCY', Math.max(Date.now() - report.timestamp, 0)))
+          })
+        }
+      }
+    , 'disconnected': () => {
+        this._countEvent(eventSeries, 'EVENT_DISCONNECTS', globalLabels())
+        // The client no longer owns any partitions, and does not emit a revoke for them
+        if (forgetOnDisconnect) {
+          for (const [key, {labels, metric}] of eventSeries) {
+            if (metric === this.metrics.EVENT_ASSIGNMENT) {
+              removeSeries(metric, labels)
+              eventSeries.delete(key)
+            }
+          }
+        }
+      }
+    , 'event.error': (err) => {
+        this._countEvent(eventSeries, 'EVENT_ERRORS', {...globalLabels(), code: String(err.code)})
+      }
+    , 'event.throttle': ({brokerId, brokerName, throttleTime}) => {
+        const brokerLabels = {...globalLabels(), name: brokerName, nodeid: brokerId}
+        this._countEvent(eventSeries, 'EVENT_THROTTLES', brokerLabels)
+        this._countEvent(eventSeries, 'EVENT_THROTTLE_TIME', brokerLabels, throttleTime)
+      }
+    , 'rebalance': (err, assignment) => {
+        const event = REBALANCE_EVENTS[err && err.code] || 'error'
+        this._countEvent(eventSeries, 'EVENT_REBALANCES', {...globalLabels(), event})
+        for (const {partition, topic} of event === 'error' ? [] : assignment) {
+          const partitionLabels = {...globalLabels(), partition, topic}
+          if (event === 'assign') {
+            this._updateEventMetric(eventSeries, 'EVENT_ASSIGNMENT', partitionLabels, (metric, labels) => {
+              metric.set(labels, 1)
+            })
+          } else {
+            this._removeEventSeries(eventSeries, 'EVENT_ASSIGNMENT', partitionLabels)
+          }
+        }
+      }
+    }
+    for (const event of Object.keys(listeners)) {
+      emitter.on(event, listeners[event])
+    }
+    return () => {
+      for (const event of Object.keys(listeners)) {
+        emitter.removeListener(event, listeners[event])
+      }
+      for (const {metric, labels} of eventSeries.values()) {
+        removeSeries(metric, labels)
+      }
+      eventSeries.clear()
+    }
+  }
+
+  /**
+  * Attach the collector to a node-rdkafka client
+  *
+  * This observes the statistics the client emits through `event.stats`, and removes the series of the client
+  * when it disconnects. The client must be configured with `statistics.interval.ms` to emit statistics. The consumer
+  * group metrics are labelled with the `group.id` of the client. With the `events` option the collector also exports
+  * metrics from the events of the client, which are removed when detaching. The assignment from the rebalance events
+  * is also removed when the client disconnects.
+  *
+  * @param {Object} client `KafkaConsumer`, `Producer`, `HighLevelProducer` or one of the stream wrappers
+  * @param {AttachOptions} [options] options for the client
+  * @return {function} function to detach the collector from the client again
+  */
+  attach(client, options) {
+    const {events, forgetOnDisconnect, labels} = {events: false
+    , forgetOnDisconnect: true, ...options}
+    // The stream wrappers expose the actual client
+    const emitter = client.consumer || client.producer || client
+    const config = emitter.globalConfig || {}
+
+    if (!config['statistics.interval.ms']) {
+      logger.warn('Client is not configured with \'statistics.interval.ms\', it will not emit statistics')
+    }
+    if (typeof emitter.on !== 'function') {
+      logger.warn('Client does not emit events, cannot observe its statistics')
+      return () => {}
+    }
+
+    // Handle names reported by this client, so its series can be removed on disconnect
+    const handles = new Set()
+    const onStats = (msg) => {
+      let stats
+      try {
+        stats = JSON.parse(msg.message)
+      } catch (e) {
+        logger.warn(`Cannot parse rdkafka statistics: ${e.message}`)
+        return
+      }
+      if (!stats || typeof stats !== 'object') {
+        logger.warn(`Ignoring rdkafka statistics that are not an object: ${msg.message}`)
+        return
+      }
+      handles.add(stats.name)
+      this.observe(stats, {group: config['group.id'], labels, size: Buffer.byteLength(msg.message)})
+    }
+    const onDisconnected = () => {
+      if (!forgetOnDisconnect) {
+        return
+      }
+      for (const handle of handles) {
+        this.forgetHandle(handle)
+      }
+      handles.clear()
+    }
+
+    emitter.on('event.stats', onStats)
+    emitter.on('disconnected', onDisconnected)
+    const detachEvents = events ? this._attachEvents(emitter, new Map(), labels, forgetOnDisconnect) : () => {}
+    const detach = () => {
+      emitter.removeListener('event.stats', onStats)
+      emitter.removeListener('disconnected', onDisconnected)
+      detachEvents()
+      this.detachers.delete(detach)
+    }
+    this.detachers.add(detach)
+    return detach
   }
 }
 
@@ -0,0 +1,231 @@
+'use strict'
+
+const fs = require('fs')
+const readline = require('readline')
+const {parseArgs} = require('util')
+const prometheus = require('prom-client')
+const RdkafkaStats = require('../index.js')
+
+const USAGE = `Usage: rdkafka-prometheus [options] [file]
+
+Translate librdkafka statistics, one JSON document per line, into the prometheus text
+format. Reads from stdin when no file or '-' is given.
+
+Options:
+  --diff                       print the series that changed between the first and the
+                               last statistics instead of all series
+  --group <id>                 consumer group of the client that emitted the statistics
+  --name-prefix <prefix>       prefix for metric names
+  --include-metric <key>       only export metrics with this key (repeatable)
+  --exclude-metric <key>       do not export metrics with this key (repeatable)
+  --include-topic <name>       only export topics with this name (repeatable)
+  --exclude-topic <name>       do not export topics with this name (repeatable)
+  --aggregate-partitions       sum up per-partition values per topic
+  --skip-unassigned-partition  do not export the internal unassigned partition (-1)
+  --counters                   export librdkafka totals as counters
+  --state-sets                 export states as one series per state
+  --base-units                 export durations in seconds and sizes in bytes
+  --windows <type>             export windows as gauges, summary or histogram
+  -h, --help                   print this help
+
+Metric keys and topic names written as /pattern/ are regular expressions.
+`
+
+const OPTIONS = {
+  'aggregate-partitions': {type: 'boolean'}
+, 'base-units': {type: 'boolean'}
+, 'counters': {type: 'boolean'}
+, 'diff': {type: 'boolean'}
+, 'exclude-metric': {multiple: true, type: 'string'}
+, 'exclude-topic': {multiple: true, type: 'string'}
+, 'group': {type: 'string'}
+, 'help': {'short': 'h', 'type': 'boolean'}
+, 'include-metric': {multiple: true, type: 'string'}
+, 'include-topic': {multiple: true, type: 'string'}
+, 'name-prefix': {type: 'string'}
+, 'skip-unassigned-partition': {type: 'boolean'}
+, 'state-sets': {type: 'boolean'}
+, 'windows': {type: 'string'}
+}
+
+/**
+ * Parse a name or a /pattern/ given on the command line
+ *
+ * @param {string} value name or pattern
+ * @return {string|RegExp} the name, or the regular expression for a pattern
+ */
+function pattern(value) {
+  const match = /^\/(.*)\/([a-z]*)$/.exec(value)
+  return match ? new RegExp(match[1], match[2]) : value
+}
+
+/**
+ * Build the collector options from the parsed command line options
+ *
+ * The collector metrics describe the collector itself (for example the time it took to
+ * translate the statistics), and are meaningless when translating captured statistics.
+ *
+ * @param {Object} values parsed command line options
+ * @return {Options} collector options
+ */
+function collectorOptions(values) {
+  const options = {
+    aggregatePartitions: values['aggregate-partitions']
+  , baseUnits: values['base-units']
+  , counters: values.counters
+  , excludeMetrics: [...(values['exclude-metric'] || []).map(pattern), /^COLLECTOR_/]
+  , excludeTopics: values['exclude-topic'] && values['exclude-topic'].map(pattern)
+  , includeMetrics: values['include-metric'] && values['include-metric'].map(pattern)
+  , includeTopics: values['include-topic'] && values['include-topic'].map(pattern)
+  , namePrefix: values['name-prefix']
+  , skipUnassignedPartition: values['skip-unassigned-partition']
+  , stateSets: values['state-sets']
+  , windows: values.windows
+  }
+  // Leave options that were not given to the defaults of the collector
+  for (const name of Object.keys(options)) {
+    if (options[name] === undefined) {
+      delete options[name]
+    }
+  }
+  return options
+}
+
+/**
+ * Read statistics from a stream with one JSON document per line
+ *
+ * @param {stream.Readable} input stream to read
+ * @return {AsyncIterable.<Object>} statistics, skipping empty lines
+ */
+async function* readStatistics(input) {
+  let lineNumber = 0
+  for await (const line of readline.createInterface({crlfDelay: Infinity, input})) {
+    lineNumber++
+    if (!line.trim()) {
+      continue
+    }
+    let statistics
+    try {
+      statistics = JSON.parse(line)
+    } catch (e) {
+      throw new Error(`Cannot parse statistics on line ${lineNumber}: ${e.message}`)
+    }
+    if (!statistics || typeof statistics !== 'object') {
+      throw new Error(`Statistics on line ${lineNumber} are not an object: ${line}`)
+    }
+    yield statistics
+  }
+}
+
+/**
+ * Get the samples of a text exposition
+ *
+ * @param {string} exposition metrics in the prometheus text format
+ * @return {Map.<string,string>} sample lines by series name and labels
+ */
+function samples(exposition) {
+  const result = new Map()
+  for (const line of exposition.split('\n')) {
+    if (line && !line.startsWith('#')) {
+      result.set(line.slice(0, line.lastIndexOf(' ')), line)
+    }
+  }
+  return result
+}
+
+/**
+ * Compare two text expositions
+ *
+ * @param {string} before metrics of the first statistics
+ * @param {string} after metrics of the last statistics
+ * @return {string} removed samples prefixed with `-`, added samples prefixed with `+`
+ */
+function diffExposition(before, after) {
+  const beforeSamples = samples(before)
+  const afterSamples = samples(after)
+  const lines = []
+  for (const [series, line] of afterSamples) {
+    const previous = beforeSamples.get(series)
+    if (previous === line) {
+      continue
+    }
+    if (previous !== undefined) {
+      lines.push(`- ${previous}`)
+    }
+    lines.push(`+ ${line}`)
+  }
+  for (const [series, line] of beforeSamples) {
+    if (!afterSamples.has(series)) {
+      lines.push(`- ${line}`)
+    }
+  }
+  return lines.map((line) => { return `${line}\n` }).join('')
+}
+
+/**
+ * Run the command line interface
+ *
+ * @param {string[]} args command line arguments, without the node executable and script
+ * @param {Object} [io] streams to use instead of the process streams
+ * @param {stream.Readable} [io.stdin] input when reading from stdin
+ * @param {stream.Writable} [io.stdout] output for the metrics
+ * @param {stream.Writable} [io.stderr] output for errors
+ * @return {Promise.<number>} exit code
+ */
+async function main(args, {
+  stdin = process.stdin
+, stdout = process.stdout
+, stderr = process.stderr
+} = {}) {
+  let values
+  let positionals
+  try {
+    ({positionals, values} = parseArgs({allowPositionals: true, args, options: OPTIONS}))
+  } catch (e) {
+    stderr.write(`${e.message}\n\n${USAGE}`)
+    return 2
+  }
+  if (values.help) {
+    stdout.write(USAGE)
+    return 0
+  }
+  if (positionals.length > 1) {
+    stderr.write(`Expected at most one file\n\n${USAGE}`)
+    return 2
+  }
+
+  const [file = '-'] = positionals
+  const registry = new prometheus.Registry()
+  let stats
+  try {
+    stats = new RdkafkaStats({...collectorOptions(values), registers: [registry]})
+  } catch (e) {
+    stderr.write(`${e.message}\n\n${USAGE}`)
+    return 2
+  }
+  let first = null
+  try {
+    const input = file === '-' ? stdin : fs.createReadStream(file)
+    for await (const statistics of readStatistics(input)) {
+      stats.observe(statistics, {group: values.group})
+      if (first === null) {
+        first = registry.metrics()
+      }
+    }
+  } catch (e) {
+    stderr.write(`${e.message}\n`)
+    return 1
+  }
+  if (first === null) {
+    stderr.write('No statistics in the input\n')
+    return 1
+  }
+  const exposition = registry.metrics()
+  stdout.write(values.diff ? diffExposition(first, exposition) : exposition)
+  return 0
+}
+
+module.exports = {
+  diffExposition
+, main
+}
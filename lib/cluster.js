@@ -0,0 +1,286 @@
+'use strict'
+
+const {EventEmitter} = require('events')
+const prometheus = require('prom-client')
+const logger = require('@log4js-node/log4js-api').getLogger('node-rdkafka-prometheus')
+const RdkafkaStats = require('../index.js')
+
+/**
+ * Type of the messages forwarded from workers, to tell them apart from other messages of the application
+ */
+const MESSAGE_TYPE = 'node-rdkafka-prometheus'
+
+/**
+ * Settings of the client the primary needs to observe its statistics
+ */
+const FORWARDED_CONFIG = ['group.id', 'statistics.interval.ms']
+
+function errorCode(err) {
+  return err ? {code: err.code} : null
+}
+
+/**
+ * Arguments of the forwarded client events, reduced to what the collector uses
+ *
+ * Cluster workers serialize messages as JSON, so errors are reduced to their code and delivery
+ * reports lose their payload.
+ */
+const FORWARDED_EVENTS = {
+  'delivery-report': (err, report) => {
+    const {partition, timestamp, topic} = report
+    return [errorCode(err), {partition, timestamp, topic}]
+  }
+, 'disconnected': () => { return [] }
+, 'event.error': (err) => { return [errorCode(err)] }
+, 'event.stats': ({message}) => { return [{message}] }
+, 'event.throttle': ({brokerId, brokerName, throttleTime}) => {
+    return [{brokerId, brokerName, throttleTime}]
+  }
+, 'rebalance': (err, assignment) => {
+    const partitions = Array.isArray(assignment) ? assignment : []
+    return [errorCode(err), partitions.map(({partition, topic}) => {
+      return {partition, topic}
+    })]
+  }
+}
+
+/**
+ * Get the channel to the primary of this worker
+ *
+ * @return {MessagePort|process} parent port of a worker thread, or the process of a cluster worker
+ */
+function defaultPort() {
+  const {parentPort} = require('worker_threads')
+  if (parentPort) {
+    return parentPort
+  }
+  if (typeof process.send === 'function') {
+    return process
+  }
+  throw new Error(
+    'Statistics can only be forwarded from a cluster worker or a worker thread'
+  )
+}
+
+let clients = 0
+
+/**
+ * Forward the statistics of a client from a worker to the primary
+ *
+ * This is the counterpart of `ClusterStats` for the workers: it sends the statistics, the
+ * disconnects and, with the `events` option, the events of the client to the primary, which
+ * translates them as if the collector were attached to the client.
+ *
+ * @param {Object} client `KafkaConsumer`, `Producer`, `HighLevelProducer` or one of the stream wrappers
+ * @param {AttachOptions} [options] options for the client
+ * @param {MessagePort|process} [options.port] channel to the primary, by default the parent port of
+ *   a worker thread or the process of a cluster worker
+ * @return {function} function to stop forwarding
+ */
+function forward(client, options = {}) {
+  const {port = defaultPort(), ...attachOptions} = options
+  const emitter = client.consumer || client.producer || client
+  const globalConfig = emitter.globalConfig || {}
+  const config = {}
+  for (const key of FORWARDED_CONFIG) {
+    if (key in globalConfig) {
+      config[key] = globalConfig[key]
+    }
+  }
+  const id = ++clients
+  function send(message) {
+    const forwarded = {...message, client: id, type: MESSAGE_TYPE}
+    if (typeof port.postMessage === 'function') {
+      port.postMessage(forwarded)
+      return
+    }
+    port.send(forwarded, (e) => {
+      if (e) {
+        logger.warn(`Cannot forward rdkafka statistics: ${e.message}`)
+      }
+    })
+  }
+
+  send({
+    action: 'attach'
+  , config
+  , consumer: typeof emitter.subscribe === 'function'
+  , options: attachOptions
+  })
+  const events = attachOptions.events
+    ? Object.keys(FORWARDED_EVENTS)
+    : ['disconnected', 'event.stats']
+  const listeners = {}
+  for (const event of events) {
+    listeners[event] = (...args) => {
+      const forwardedArgs = FORWARDED_EVENTS[event](...args)
+      send({action: 'event', args: forwardedArgs, event, name: emitter.name})
+    }
+    emitter.on(event, listeners[event])
+  }
+  return () => {
+    for (const event of events) {
+      emitter.removeListener(event, listeners[event])
+    }
+    send({action: 'detach'})
+  }
+}
+
+/**
+ * Aggregates the statistics forwarded by cluster workers or worker threads in the primary
+ *
+ * Each worker gets its own collector, whose series carry the id of the worker in the worker label,
+ * so that handles of different workers with the same name stay distinct. The collectors share the
+ * metrics in the registries. The series of a worker are removed when it exits.
+ */
+class ClusterStats extends EventEmitter {
+  /**
+   * Create the aggregator
+   *
+   * @param {Options} [options] options for the collectors of the workers
+   * @param {string} [options.workerLabel='worker'] name of the label with the id of the worker
+   */
+  constructor(options = {}) {
+    super()
+    const {workerLabel = 'worker', ...collectorOptions} = options
+    this.workerLabel = workerLabel
+    this.options = {registers: [prometheus.register], ...collectorOptions}
+    this.registers = this.options.registers
+
+    /**
+     * Collector and function to stop aggregating of each worker, by worker id
+     */
+    this.workers = new Map()
+  }
+
+  /**
+   * Aggregate the statistics forwarded by a worker
+   *
+   * @param {Worker} worker `cluster` or `worker_threads` worker
+   * @param {string|number} [id] id of the worker for the worker label, by default the `id` of a
+   *   cluster worker or the `threadId` of a worker thread
+   * @return {function} function to stop aggregating, which removes the series of the worker
+   */
+  addWorker(worker, id = worker.threadId === undefined ? worker.id : worker.threadId) {
+    const workerId = String(id)
+    if (this.workers.has(workerId)) {
+      return this.workers.get(workerId).remove
+    }
+    const collector = new RdkafkaStats({
+      ...this.options
+    , extraLabels: {...this.options.extraLabels, [this.workerLabel]: workerId}
+    })
+    const clientsOfWorker = new Map()
+    const onMessage = (message) => {
+      if (message && message.type === MESSAGE_TYPE) {
+        this._onMessage(collector, clientsOfWorker, message)
+      }
+    }
+    const remove = () => {
+      const current = this.workers.get(workerId)
+      if (!current || current.remove !== remove) {
+        return
+      }
+      worker.removeListener('message', onMessage)
+      worker.removeListener('exit', remove)
+      collector.close()
+      this.workers.delete(workerId)
+    }
+    worker.on('message', onMessage)
+    worker.once('exit', remove)
+    for (const event of ['healthy', 'unhealthy']) {
+      collector.on(event, (handleHealth) => {
+        this.emit(event, {...handleHealth, [this.workerLabel]: workerId})
+      })
+    }
+    this.workers.set(workerId, {collector, remove})
+    return remove
+  }
+
+  /**
+   * Aggregate the statistics forwarded by all current and future workers of a cluster
+   *
+   * @param {Cluster} [cluster] the `cluster` module
+   * @return {function} function to stop adding the future workers
+   */
+  listen(cluster = require('cluster')) {
+    for (const worker of Object.values(cluster.workers)) {
+      this.addWorker(worker)
+    }
+    const onFork = (worker) => {
+      this.addWorker(worker)
+    }
+    cluster.on('fork', onFork)
+    return () => {
+      cluster.removeListener('fork', onFork)
+    }
+  }
+
+  _onMessage(collector, clientsOfWorker, message) {
+    const {action, args, client, config, consumer, event, name, options} = message
+    switch (action) {
+      case 'attach': {
+        // Stands in for the client in the worker
+        const emitter = new EventEmitter()
+        emitter.globalConfig = config
+        if (consumer) {
+          // The collector tells consumers apart by their subscribe method
+          emitter.subscribe = Function.prototype
+        }
+        clientsOfWorker.set(client, {detach: collector.attach(emitter, options), emitter})
+        return
+      }
+      case 'event': {
+        const forwarded = clientsOfWorker.get(client)
+        if (forwarded) {
+          forwarded.emitter.name = name
+          forwarded.emitter.emit(event, ...args)
+        }
+        return
+      }
+      case 'detach': {
+        const forwarded = clientsOfWorker.get(client)
+        if (forwarded) {
+          forwarded.detach()
+          clientsOfWorker.delete(client)
+        }
+        return
+      }
+      default:
+        logger.warn(`Ignoring forwarded rdkafka message with unknown action: ${action}`)
+    }
+  }
+
+  /**
+   * Evaluate the health of the handles of all workers
+   *
+   * @param {HealthRules} [rules] rules to use instead of the configured rules
+   * @return {Health} health of all handles, each with the id of its worker in the worker label
+   */
+  health(rules) {
+    const handles = []
+    for (const [workerId, {collector}] of this.workers) {
+      for (const handleHealth of collector.health(rules).handles) {
+        handles.push({...handleHealth, [this.workerLabel]: workerId})
+      }
+    }
+    return {handles, healthy: handles.every(({healthy}) => { return healthy })}
+  }
+
+  /**
+   * Stop aggregating the statistics of all workers and remove their series
+   *
+   * @return {void}
+   */
+  close() {
+    for (const {remove} of [...this.workers.values()]) {
+      remove()
+    }
+  }
+}
+
+module.exports = {
+  ClusterStats
+, MESSAGE_TYPE
+, forward
+}
@@ -0,0 +1,288 @@
+'use strict'
+
+const http = require('http')
+const zlib = require('zlib')
+
+const TEXT_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8'
+const OPENMETRICS_CONTENT_TYPE
+  = 'application/openmetrics-text; version=1.0.0; charset=utf-8'
+
+/**
+ * Units that OpenMetrics declares for metric families with the unit as suffix
+ */
+const OPENMETRICS_UNITS = ['seconds', 'bytes']
+
+/**
+ * @typedef {Object} HttpOptions
+ * @property {Registry[]} [registers] registries to serve, by default the registries of the collector
+ * @property {boolean} [gzip=true] compress responses for clients accepting gzip
+ * @property {HealthRules} [rules] rules for the health route instead of the configured rules
+ * @property {string} [path='/metrics'] path of the metrics route of the server and the Fastify plugin
+ * @property {string} [healthPath='/health'] path of the health route of the server and the Fastify plugin
+ */
+
+/**
+ * Check whether a client prefers OpenMetrics over the prometheus text format
+ *
+ * @param {string} [accept] Accept header of the request
+ * @return {boolean} true if OpenMetrics has at least the quality of the text format
+ */
+function prefersOpenMetrics(accept = '') {
+  let openMetrics = 0
+  let text = 0
+  for (const mediaRange of accept.split(',')) {
+    const [type, ...parameters] = mediaRange.split(';').map((part) => {
+      return part.trim()
+    })
+    const q = parameters.find((parameter) => { return parameter.startsWith('q=') })
+    const quality = q ? Number(q.slice(2)) : 1
+    if (type === 'application/openmetrics-text') {
+      openMetrics = Math.max(openMetrics, quality)
+    } else if (['text/plain', 'text/*', '*/*'].includes(type)) {
+      text = Math.max(text, quality)
+    }
+  }
+  return openMetrics > 0 && openMetrics >= text
+}
+
+/**
+ * Get the metrics of the registries, each metric once
+ *
+ * @param {Registry[]} registers registries
+ * @return {Array.<{metric: Object, register: Registry}>} metrics and the first registry they are in
+ */
+function uniqueMetrics(registers) {
+  const metrics = new Map()
+  for (const register of registers) {
+    register.collect()
+    for (const metric of register.getMetricsAsArray()) {
+      if (!metrics.has(metric)) {
+        metrics.set(metric, register)
+      }
+    }
+  }
+  return [...metrics].map(([metric, register]) => { return {metric, register} })
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"')
+}
+
+function formatValue(value) {
+  if (Number.isNaN(value)) {
+    return 'NaN'
+  }
+  if (value === Infinity) {
+    return '+Inf'
+  }
+  return value === -Infinity ? '-Inf' : String(value)
+}
+
+/**
+ * Render metrics in the prometheus text format, like `Registry.metrics()`
+ *
+ * @param {Registry[]} registers registries
+ * @return {string} exposition
+ */
+function textExposition(registers) {
+  return uniqueMetrics(registers).map(({metric, register}) => {
+    return `${register.getMetricAsPrometheusString(metric)}\n`
+  }).join('\n')
+}
+
+/**
+ * Render metrics in the OpenMetrics text format
+ *
+ * Counter families are named without the `_total` suffix of their samples, and families named
+ * with a `_seconds` or `_bytes` suffix declare their unit.
+ *
+ * @param {Registry[]} registers registries
+ * @return {string} exposition
+ */
+function openMetricsExposition(registers) {
+  const lines = []
+  for (const {metric} of uniqueMetrics(registers)) {
+    const {help, name, type, values} = metric.get()
+    const family = type === 'counter' ? name.replace(/_total$/, '') : name
+    lines.push(`# TYPE ${family} ${type}`)
+    const unit = OPENMETRICS_UNITS.find((suffix) => {
+      return family.endsWith(`_${suffix}`)
+    })
+    if (unit) {
+      lines.push(`# UNIT ${family} ${unit}`)
+    }
+    lines.push(`# HELP ${family} ${escapeLabelValue(help)}`)
+    for (const {labels, metricName, value} of values) {
+      const sample = type === 'counter' ? `${family}_total` : metricName || name
+      const pairs = Object.keys(labels).map((label) => {
+        return `${label}="${escapeLabelValue(labels[label])}"`
+      })
+      const series = pairs.length ? `${sample}{${pairs.join(',')}}` : sample
+      lines.push(`${series} ${formatValue(value)}`)
+    }
+  }
+  lines.push('# EOF')
+  return lines.map((line) => { return `${line}\n` }).join('')
+}
+
+/**
+ * Build a response, compressed when the client accepts it
+ *
+ * @param {Object} headers request headers
+ * @param {number} status status code
+ * @param {string} contentType content type of the body
+ * @param {string} body body
+ * @param {boolean} gzip whether compression is enabled
+ * @return {{status: number, headers: Object, body: string|Buffer}} response
+ */
+function response(headers, status, contentType, body, gzip) {
+  const responseHeaders = {'Content-Type': contentType}
+  if (!gzip || !/\bgzip\b/.test(headers['accept-encoding'] || '')) {
+    return {body, headers: responseHeaders, status}
+  }
+  return {
+    body: zlib.gzipSync(body)
+  , headers: {...responseHeaders, 'Content-Encoding': 'gzip', 'Vary': 'Accept-Encoding'}
+  , status
+  }
+}
+
+/**
+ * Build the response of the metrics route
+ *
+ * @param {RdkafkaStats} stats collector
+ * @param {Object} headers request headers
+ * @param {HttpOptions} [options] options
+ * @return {{status: number, headers: Object, body: string|Buffer}} response
+ */
+function metricsResponse(stats, headers, options = {}) {
+  const {gzip = true, registers = stats.registers} = options
+  if (prefersOpenMetrics(headers.accept)) {
+    const body = openMetricsExposition(registers)
+    return response(headers, 200, OPENMETRICS_CONTENT_TYPE, body, gzip)
+  }
+  return response(headers, 200, TEXT_CONTENT_TYPE, textExposition(registers), gzip)
+}
+
+/**
+ * Build the response of the health route
+ *
+ * The route responds with the health of the handles as JSON, with status 200 when all
+ * handles are healthy and 503 otherwise.
+ *
+ * @param {RdkafkaStats} stats collector
+ * @param {Object} headers request headers
+ * @param {HttpOptions} [options] options
+ * @return {{status: number, headers: Object, body: string|Buffer}} response
+ */
+function healthResponse(stats, headers, {gzip = true, rules} = {}) {
+  const health = stats.health(rules)
+  const body = JSON.stringify(health)
+  return response(headers, health.healthy ? 200 : 503, 'application/json', body, gzip)
+}
+
+/**
+ * Create a request handler serving the metrics, for `http` servers and Express
+ *
+ * @param {RdkafkaStats} stats collector
+ * @param {HttpOptions} [options] options
+ * @return {function(IncomingMessage, ServerResponse): void} request handler
+ */
+function metricsHandler(stats, options) {
+  return (req, res) => {
+    const {body, headers, status} = metricsResponse(stats, req.headers, options)
+    res.writeHead(status, headers)
+    res.end(body)
+  }
+}
+
+/**
+ * Create a request handler serving the health of the handles, for `http` servers and Express
+ *
+ * @param {RdkafkaStats} stats collector
+ * @param {HttpOptions} [options] options
+ * @return {function(IncomingMessage, ServerResponse): void} request handler
+ */
+function healthHandler(stats, options) {
+  return (req, res) => {
+    const {body, headers, status} = healthResponse(stats, req.headers, options)
+    res.writeHead(status, headers)
+    res.end(body)
+  }
+}
+
+/**
+ * Send a response with a Fastify reply
+ *
+ * @param {FastifyReply} reply reply
+ * @param {{status: number, headers: Object, body: string|Buffer}} response response
+ * @return {FastifyReply} the reply
+ */
+function send(reply, {body, headers, status}) {
+  return reply.code(status).headers(headers).send(body)
+}
+
+/**
+ * Create a Fastify plugin serving the metrics and the health of the handles
+ *
+ * @param {RdkafkaStats} stats collector
+ * @param {HttpOptions} [options] options
+ * @return {function(FastifyInstance): Promise} plugin
+ */
+function fastifyPlugin(stats, options = {}) {
+  const {healthPath = '/health', path = '/metrics'} = options
+  return async function rdkafkaStatsPlugin(fastify) {
+    fastify.get(path, (request, reply) => {
+      return send(reply, metricsResponse(stats, request.headers, options))
+    })
+    fastify.get(healthPath, (request, reply) => {
+      return send(reply, healthResponse(stats, request.headers, options))
+    })
+  }
+}
+
+/**
+ * Create an HTTP server serving the metrics and the health of the handles
+ *
+ * The server is not listening yet, call `listen()` on it.
+ *
+ * @param {RdkafkaStats} stats collector
+ * @param {HttpOptions} [options] options
+ * @return {http.Server} server
+ */
+function createServer(stats, options = {}) {
+  const {healthPath = '/health', path = '/metrics'} = options
+  const handlers = {
+    [healthPath]: healthHandler(stats, options)
+  , [path]: metricsHandler(stats, options)
+  }
+  return http.createServer((req, res) => {
+    let pathname
+    try {
+      pathname = new URL(req.url, 'http://localhost').pathname
+    } catch (err) {
+      // Absolute request targets with an invalid host cannot be parsed
+      res.writeHead(400, {'Content-Type': 'text/plain'})
+      res.end('Bad Request\n')
+      return
+    }
+    const handler = handlers[pathname]
+    if (!handler) {
+      res.writeHead(404, {'Content-Type': 'text/plain'})
+      res.end('Not Found\n')
+      return
+    }
+    handler(req, res)
+  })
+}
+
+module.exports = {
+  OPENMETRICS_CONTENT_TYPE
+, TEXT_CONTENT_TYPE
+, createServer
+, fastifyPlugin
+, healthHandler
+, metricsHandler
+, openMetricsExposition
+, textExposition
+}
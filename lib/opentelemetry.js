@@ -0,0 +1,189 @@
+'use strict'
+
+const {metrics} = require('@opentelemetry/api')
+const {labelsKey, removeByLabelValues} = require('./series.js')
+
+/**
+ * Units of the exported values in the UCUM notation used by OpenTelemetry
+ */
+const UNITS = {
+  bytes: 'By'
+, microseconds: 'us'
+, milliseconds: 'ms'
+, seconds: 's'
+}
+
+/**
+ * A metric whose current values are reported by an observable gauge or counter
+ *
+ * The collector sets the values when translating statistics, like it does for prom-client
+ * metrics, and the meter reads them when collecting.
+ *
+ * Removed series are no longer observed. Readers with delta temporality then stop exporting them,
+ * but the SDK keeps exporting the last value of series it collected once to readers with
+ * cumulative temporality, the default, until the process ends.
+ */
+class ObservedMetric {
+  /**
+   * Create the metric and its instrument
+   *
+   * @param {OpenTelemetrySink} sink sink creating the metric
+   * @param {string} type `counter` or `gauge`
+   * @param {MetricDefinition} definition name, help, label names and unit of the metric
+   */
+  constructor(sink, type, {help, labelNames, name, unit}) {
+    this.name = name
+    this.labelNames = labelNames
+    this.hashMap = {}
+    const options = {description: help, unit: UNITS[unit]}
+    this.instrument = type === 'counter'
+      ? sink.meter.createObservableCounter(name, options)
+      : sink.meter.createObservableGauge(name, options)
+    this.callback = (result) => {
+      // Translate lazily observed statistics before reading the values
+      sink.collect()
+      for (const {labels, value} of Object.values(this.hashMap)) {
+        result.observe(value, labels)
+      }
+    }
+    this.instrument.addCallback(this.callback)
+  }
+
+  set(labels, value) {
+    this.hashMap[labelsKey(labels)] = {labels, value}
+  }
+
+  inc(labels, value) {
+    const key = labelsKey(labels)
+    const entry = this.hashMap[key]
+    this.hashMap[key] = {labels, value: (entry ? entry.value : 0) + value}
+  }
+
+  remove(...labelValues) {
+    removeByLabelValues(this, labelValues)
+  }
+
+  close() {
+    this.instrument.removeCallback(this.callback)
+    this.hashMap = {}
+  }
+}
+
+/**
+ * A histogram recording each observed value
+ *
+ * OpenTelemetry histograms cannot forget series, so removing a series does nothing.
+ */
+class RecordedHistogram {
+  /**
+   * Create the metric and its instrument
+   *
+   * @param {OpenTelemetrySink} sink sink creating the metric
+   * @param {MetricDefinition} definition name, help, label names, unit and buckets of the metric
+   */
+  constructor(sink, {buckets, help, labelNames, name, unit}) {
+    this.name = name
+    this.labelNames = labelNames
+    this.instrument = sink.meter.createHistogram(name, {
+      advice: {explicitBucketBoundaries: buckets}
+    , description: help
+    , unit: UNITS[unit]
+    })
+  }
+
+  observe(labels, value) {
+    this.instrument.record(value, labels)
+  }
+
+  remove() {}
+
+  close() {}
+}
+
+/**
+ * Sink creating OpenTelemetry instruments
+ *
+ * The instruments use the same names, descriptions and attributes as the prometheus metrics.
+ * Counters are named without the `_total` suffix, which OpenTelemetry's prometheus exporter
+ * adds for monotonic sums. Window statistics can only be exported as gauges. Removing series only
+ * takes effect for readers with delta temporality, see `ObservedMetric`.
+ */
+class OpenTelemetrySink {
+  /**
+   * Create the sink
+   *
+   * @param {Object} [options] options for the sink
+   * @param {Meter} [options.meter] meter creating the instruments, by default a meter of the
+   *   global meter provider
+   */
+  constructor({meter} = {}) {
+    this.meter = meter || metrics.getMeter('node-rdkafka-prometheus')
+    this.collectors = new Set()
+  }
+
+  /**
+   * Create a metric
+   *
+   * @param {string} type `counter`, `gauge` or `histogram`
+   * @param {MetricDefinition} definition name, help, label names, unit and buckets of the metric
+   * @return {Object} the metric
+   */
+  createMetric(type, definition) {
+    switch (type) {
+      case 'window':
+        throw new Error(`Cannot export ${definition.name} as ${definition.windows}`
+          + ' with OpenTelemetry, use the \'gauges\' windows')
+      case 'histogram':
+        return new RecordedHistogram(this, definition)
+      default:
+        return new ObservedMetric(this, type, definition)
+    }
+  }
+
+  /**
+   * Call a function before the instruments report their values
+   *
+   * @param {function} collector function to call
+   * @return {void}
+   */
+  addCollector(collector) {
+    this.collectors.add(collector)
+  }
+
+  /**
+   * Stop calling a function added with `addCollector()`
+   *
+   * @param {function} collector function to remove
+   * @return {void}
+   */
+  removeCollector(collector) {
+    this.collectors.delete(collector)
+  }
+
+  /**
+   * Call the functions added with `addCollector()`
+   *
+   * @return {void}
+   */
+  collect() {
+    for (const collector of this.collectors) {
+      collector()
+    }
+  }
+
+  /**
+   * Stop reporting the values of the metrics
+   *
+   * OpenTelemetry cannot remove instruments from a meter, they stop reporting values instead.
+   *
+   * @param {Object[]} metricsToRemove metrics to remove
+   * @return {void}
+   */
+  removeMetrics(metricsToRemove) {
+    for (const metric of metricsToRemove) {
+      metric.close()
+    }
+  }
+}
+
+module.exports = OpenTelemetrySink
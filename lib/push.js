@@ -0,0 +1,286 @@
+'use strict'
+
+const http = require('http')
+const https = require('https')
+const logger = require('@log4js-node/log4js-api').getLogger('node-rdkafka-prometheus')
+
+/**
+ * @typedef {Object} PushOptions
+ * @property {string} url base URL of the Pushgateway, for example `http://pushgateway:9091`
+ * @property {string} [job='rdkafka'] job label of the pushed groups
+ * @property {Registry} [registry] registry to push, by default the first registry of the collector
+ * @property {number} [interval=15000] milliseconds between pushes, 0 to only push when flushing
+ * @property {number} [retries=3] number of times to retry a failed request
+ * @property {number} [backoff=1000] milliseconds before the first retry, doubled for each further retry
+ * @property {number} [timeout=10000] milliseconds to wait for a response
+ * @property {Object.<string,string>} [headers={}] additional request headers, for example for authorization
+ * @property {boolean} [flushOnExit=false] push a last time when the event loop empties or on SIGINT or SIGTERM
+ */
+
+/**
+ * Signals after which the pusher pushes a last time, when flushing on exit
+ */
+const EXIT_SIGNALS = ['SIGINT', 'SIGTERM']
+
+/**
+ * Build a path segment of a grouping key
+ *
+ * The values are base64 encoded, so that they may contain slashes or be empty.
+ *
+ * @param {string} name label name
+ * @param {string} value label value
+ * @return {string} path segment
+ */
+function groupingSegment(name, value) {
+  return `${name}@base64/${Buffer.from(String(value)).toString('base64url') || '='}`
+}
+
+/**
+ * Wait for some time
+ *
+ * @param {number} ms milliseconds to wait
+ * @return {Promise} promise resolved after the time
+ */
+function delay(ms) {
+  return new Promise((resolve) => { setTimeout(resolve, ms) })
+}
+
+/**
+ * Log a failed push, rather than failing the application
+ *
+ * @param {Error} e error of the push
+ * @return {void}
+ */
+function logFailure(e) {
+  logger.warn(`Cannot push metrics: ${e.message}`)
+}
+
+/**
+ * Pushes the metrics of a collector to a Pushgateway
+ *
+ * Each handle is pushed as its own group, with the handle and the extra labels of the
+ * collector in the grouping key. The groups of handles that are no longer exported are
+ * deleted. Series without a handle label are not pushed, unless the handle label is dropped
+ * with the `relabel` option of the collector: then all series are pushed as a single group.
+ */
+class Pusher {
+  /**
+   * Create the pusher
+   *
+   * @param {RdkafkaStats} stats collector whose metrics to push
+   * @param {PushOptions} options options for pushing
+   */
+  constructor(stats, options) {
+    const {
+      backoff
+    , flushOnExit
+    , headers
+    , interval
+    , job
+    , registry
+    , retries
+    , timeout
+    , url
+    } = {backoff: 1000
+    , flushOnExit: false
+    , headers: {}
+    , interval: 15000
+    , job: 'rdkafka'
+    , registry: stats.registers[0]
+    , retries: 3
+    , timeout: 10000, ...options}
+    if (!url) {
+      throw new Error('The url of the Pushgateway is required')
+    }
+    this.stats = stats
+    this.registry = registry
+    this.url = url.replace(/\/$/, '')
+    this.job = job
+    this.interval = interval
+    this.retries = retries
+    this.backoff = backoff
+    this.timeout = timeout
+    this.headers = headers
+    this.flushOnExit = flushOnExit
+
+    /**
+     * Paths of the groups that were pushed and not deleted since
+     */
+    this.pushedGroups = new Set()
+
+    /**
+     * Latest push, so that pushes do not overlap
+     */
+    this.pushing = Promise.resolve()
+    this.timer = null
+    this.onBeforeExit = () => {
+      this.close().catch(logFailure)
+    }
+    // Listening to a signal disables its default action, so raise it again after pushing,
+    // unless the application handles it itself
+    this.onSignal = (signal) => {
+      return this.close().catch(logFailure).then(() => {
+        if (!process.listenerCount(signal)) {
+          process.kill(process.pid, signal)
+        }
+      })
+    }
+  }
+
+  /**
+   * Start pushing periodically
+   *
+   * The timer does not keep the process alive.
+   *
+   * @return {Pusher} this pusher
+   */
+  start() {
+    if (this.timer) {
+      return this
+    }
+    if (this.interval > 0) {
+      this.timer = setInterval(() => {
+        this.push().catch(logFailure)
+      }, this.interval)
+      this.timer.unref()
+    }
+    if (this.flushOnExit) {
+      process.once('beforeExit', this.onBeforeExit)
+      for (const signal of EXIT_SIGNALS) {
+        process.once(signal, this.onSignal)
+      }
+    }
+    return this
+  }
+
+  /**
+   * Push the metrics now
+   *
+   * @return {Promise} promise resolved when all groups were pushed
+   */
+  push() {
+    this.pushing = this.pushing.catch(() => {}).then(() => { return this._push() })
+    return this.pushing
+  }
+
+  /**
+   * Stop pushing periodically, and push a last time
+   *
+   * Call this after flushing the clients and before the process exits.
+   *
+   * @return {Promise} promise resolved when all groups were pushed
+   */
+  close() {
+    clearInterval(this.timer)
+    this.timer = null
+    process.removeListener('beforeExit', this.onBeforeExit)
+    for (const signal of EXIT_SIGNALS) {
+      process.removeListener(signal, this.onSignal)
+    }
+    return this.push()
+  }
+
+  _groups() {
+    this.registry.collect()
+    const items = this.registry.getMetricsAsArray().map((metric) => {
+      return metric.get()
+    })
+    const {extraLabels, handleLabel} = this.stats.groupingLabels()
+    const groupPath = (handle) => {
+      const labels = handleLabel ? {...extraLabels, [handleLabel]: handle} : extraLabels
+      const segments = Object.keys(labels).map((name) => {
+        return groupingSegment(name, labels[name])
+      })
+      return ['metrics', groupingSegment('job', this.job), ...segments].join('/')
+    }
+    if (!handleLabel) {
+      return new Map([[groupPath(), this._exposition(items, () => { return true })]])
+    }
+
+    const handles = new Set(items.flatMap(({values}) => {
+      return values.filter(({labels}) => { return handleLabel in labels })
+        .map(({labels}) => { return labels[handleLabel] })
+    }))
+    const groups = new Map()
+    for (const handle of handles) {
+      groups.set(groupPath(handle), this._exposition(items, (labels) => {
+        return labels[handleLabel] === handle
+      }))
+    }
+    return groups
+  }
+
+  _exposition(items, filter) {
+    const lines = []
+    for (const item of items) {
+      const values = item.values.filter(({labels}) => { return filter(labels) })
+      if (values.length) {
+        lines.push(this.registry.getMetricAsPrometheusString({
+          get() { return {...item, values} }
+        }))
+      }
+    }
+    return lines.map((line) => { return `${line}\n` }).join('')
+  }
+
+  async _push() {
+    const groups = this._groups()
+    for (const [path, body] of groups) {
+      await this._request('PUT', path, body)
+      this.pushedGroups.add(path)
+    }
+    for (const path of [...this.pushedGroups]) {
+      if (!groups.has(path)) {
+        await this._request('DELETE', path)
+        this.pushedGroups.delete(path)
+      }
+    }
+  }
+
+  async _request(method, path, body) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this._send(method, path, body)
+      } catch (e) {
+        if (!e.retry || attempt >= this.retries) {
+          throw e
+        }
+        await delay(this.backoff * 2 ** attempt)
+      }
+    }
+  }
+
+  _send(method, path, body) {
+    const url = `${this.url}/${path}`
+    const client = url.startsWith('https:') ? https : http
+    return new Promise((resolve, reject) => {
+      const request = client.request(url, {
+        headers: {'Content-Type': 'text/plain; version=0.0.4', ...this.headers}
+      , method
+      , timeout: this.timeout
+      }, (response) => {
+        response.resume()
+        const {statusCode} = response
+        if (statusCode >= 200 && statusCode < 300) {
+          resolve()
+          return
+        }
+        const message = `Pushgateway responded with ${statusCode} to ${method} ${url}`
+        const error = new Error(message)
+        // Only retry errors that may go away
+        error.retry = statusCode >= 500 || statusCode === 429
+        reject(error)
+      })
+      request.on('timeout', () => {
+        request.destroy(new Error(`Pushgateway did not respond to ${method} ${url}`))
+      })
+      request.on('error', (e) => {
+        e.retry = true
+        reject(e)
+      })
+      request.end(body)
+    })
+  }
+}
+
+module.exports = Pusher
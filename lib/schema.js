@@ -0,0 +1,1004 @@
+'use strict'
+/* eslint-disable max-len */
+
+/**
+ * @typedef {Object} SchemaEntry
+ * @property {string} path dot-separated path of the field in the statistics, with `*` for the keys of a dict
+ * @property {string} type `gauge`, `counter`, `state` or `window` for exported values, `label` for fields labelling the series of their object, `ignored` for fields that are not exported, `object` for fields with named fields and `dict` for fields with arbitrary keys
+ * @property {string} [help] help of the metric
+ * @property {string} [unit] unit used by librdkafka, `microseconds`, `milliseconds`, `seconds` or `bytes`
+ * @property {string[]} [states] possible states of a `state`, in the order of their values
+ * @property {string} [description] description of a `state` for log messages
+ * @property {function} [mapper] maps the value to a prometheus value
+ * @property {string} [label] name of the label of a `label` field, or of the label with the keys of a `dict`
+ * @property {string} [valueLabel] export the value in this label, with a value of 1
+ * @property {string} [prefix] prefix of the keys of the metrics of the fields of an `object`
+ * @property {string} [level] option of the `levels` that enables the field
+ * @property {boolean} [filtered] skip the `object` if its `topic` label is excluded by the `includeTopics` and `excludeTopics` options
+ * @property {boolean} [partitions] the `dict` holds the partitions of a topic, which can be aggregated with the `aggregatePartitions` option
+ * @property {boolean} [aggregatable] the partition field can be summed up per topic
+ * @property {string[]} [optionLabels] labels of the `object` with values from the observe options
+ * @property {boolean} [optional] librdkafka only emits the field for some clients
+ * @property {string} [reason] why an `ignored` field is not exported
+ * @property {string} [since] first librdkafka version emitting the field
+ * @property {string} [until] first librdkafka version no longer emitting the field
+ */
+
+/**
+ * @typedef {Object} SchemaDrift
+ * @property {string[]} missing paths of the schema that none of the statistics contained
+ * @property {string[]} unknown paths in the statistics that the schema does not have
+ */
+
+/**
+ * Topic fetch states
+ *
+ * The order matches the order in rdkafka's `rd_kafka_fetch_states` at the time this was written. States added to
+ * rdkafka since then are appended, so that the numeric values of the existing states do not change.
+ *
+ * See https://github.com/edenhill/librdkafka/blob/master/src/rdkafka_partition.c rd_kafka_fetch_states
+ */
+const FETCH_STATES = ['none', 'stopping', 'stopped', 'offset-query', 'offset-wait', 'active', 'validate-epoch-wait']
+
+/**
+ * Broker states
+ *
+ * The order matches the order in rdkafka's `rd_kafka_broker_state_names` at the time this was written. States added to
+ * rdkafka since then are appended, so that the numeric values of the existing states do not change.
+ *
+ * @see https://github.com/edenhill/librdkafka/blob/master/src/rdkafka_broker.c rd_kafka_broker_state_names
+ */
+const BROKER_STATES = ['INIT', 'DOWN', 'CONNECT', 'AUTH', 'UP', 'UPDATE', 'APIVERSION_QUERY', 'AUTH_HANDSHAKE', 'TRY_CONNECT', 'SSL_HANDSHAKE', 'AUTH_LEGACY', 'AUTH_REQ', 'REAUTH']
+
+/**
+ * Broker sources
+ *
+ * @see https://github.com/confluentinc/librdkafka/blob/master/STATISTICS.md brokers.source
+ */
+const BROKER_SOURCES = ['learned', 'configured', 'internal', 'logical']
+
+/**
+ * Idempotent producer states
+ *
+ * The order matches the order in rdkafka's `rd_kafka_idemp_state2str`.
+ *
+ * @see https://github.com/confluentinc/librdkafka/blob/master/src/rdkafka_idempotence.h rd_kafka_idemp_state2str
+ */
+const IDEMP_STATES = ['Init', 'Terminate', 'FatalError', 'RequestPID', 'WaitTransport', 'WaitPID', 'Assigned', 'DrainReset', 'DrainBump', 'WaitTxnAbort']
+
+/**
+ * Transactional producer states
+ *
+ * The order matches the order in rdkafka's `rd_kafka_txn_state2str`.
+ *
+ * @see https://github.com/confluentinc/librdkafka/blob/master/src/rdkafka_txnmgr.h rd_kafka_txn_state2str
+ */
+const TXN_STATES = ['Init', 'WaitPID', 'ReadyNotAcked', 'Ready', 'InTransaction', 'BeginCommit', 'CommittingTransaction', 'CommitNotAcked', 'BeginAbort', 'AbortingTransaction', 'AbortedNotAcked', 'AbortableError', 'FatalError']
+
+/**
+ * Consumer group states
+ *
+ * The order matches the order in rdkafka's `rd_kafka_cgrp_state_names`.
+ *
+ * @see https://github.com/confluentinc/librdkafka/blob/master/src/rdkafka_cgrp.c rd_kafka_cgrp_state_names
+ */
+const CGRP_STATES = ['init', 'term', 'query-coord', 'wait-coord', 'wait-broker', 'wait-broker-transport', 'up']
+
+/**
+ * Consumer group join states
+ *
+ * The order matches the order in rdkafka's `rd_kafka_cgrp_join_state_names`.
+ *
+ * @see https://github.com/confluentinc/librdkafka/blob/master/src/rdkafka_cgrp.c rd_kafka_cgrp_join_state_names
+ */
+const CGRP_JOIN_STATES = ['init', 'wait-join', 'wait-metadata', 'wait-sync', 'wait-assign-call', 'wait-unassign-call', 'wait-unassign-to-complete', 'wait-incr-unassign-to-complete', 'steady']
+
+/**
+ * Fields of window statistics
+ *
+ * @see https://github.com/confluentinc/librdkafka/blob/master/STATISTICS.md Window stats
+ */
+const WINDOW_FIELDS = ['min', 'max', 'avg', 'sum', 'stddev', 'p50', 'p75', 'p90', 'p95', 'p99', 'p99_99', 'outofrange', 'hdrsize', 'cnt']
+
+/**
+ * Map a boolean to a prometheus value
+ *
+ * @param {boolean} flag value to map
+ * @return {number} 1 for true, 0 for false
+ */
+function booleanMapper(flag) {
+  return flag ? 1 : 0
+}
+
+/**
+ * The fields of librdkafka's statistics and how they are exported
+ *
+ * Parents come before their fields. The keys of the metrics are the prefix of the nearest object followed by the path
+ * below it, for example `BROKER_REQ` for `brokers.*.req.*`.
+ *
+ * @see https://github.com/confluentinc/librdkafka/blob/master/STATISTICS.md
+ */
+// Disable eslint from complaining about the order: this is based on what rdkafka has in the documentation, so make finding specific statistics faster.
+/* eslint-disable sort-keys */
+const SCHEMA = [
+  {
+    path: 'name'
+  , type: 'label'
+  , label: 'handle'
+  }
+, {
+    path: 'client_id'
+  , type: 'ignored'
+  , reason: 'The client id is part of the handle name'
+  }
+, {
+    path: 'type'
+  , type: 'label'
+  , label: 'type'
+  }
+, {
+    path: 'ts'
+  , type: 'gauge'
+  , help: 'librdkafka\'s internal monotonic clock (micro seconds)'
+  , unit: 'microseconds'
+  }
+, {
+    path: 'time'
+  , type: 'gauge'
+  , help: 'Wall clock time in seconds since the epoch'
+  , unit: 'seconds'
+  }
+, {
+    path: 'age'
+  , type: 'gauge'
+  , help: 'Time since this client instance was created (microseconds)'
+  , unit: 'microseconds'
+  }
+, {
+    path: 'replyq'
+  , type: 'gauge'
+  , help: 'Number of ops waiting in queue for application to serve with rd_kafka_poll()'
+  }
+, {
+    path: 'msg_cnt'
+  , type: 'gauge'
+  , help: 'Current number of messages in instance queues'
+  }
+, {
+    path: 'msg_size'
+  , type: 'gauge'
+  , help: 'Current total size of messages in instance queues'
+  , unit: 'bytes'
+  }
+, {
+    path: 'msg_max'
+  , type: 'gauge'
+  , help: 'Threshold: maximum number of messages allowed'
+  }
+, {
+    path: 'msg_size_max'
+  , type: 'gauge'
+  , help: 'Threshold: maximum total size of messages allowed'
+  , unit: 'bytes'
+  }
+, {
+    path: 'simple_cnt'
+  , type: 'gauge'
+  , help: 'Internal tracking of legacy vs new consumer API state'
+  }
+, {
+    path: 'metadata_cache_cnt'
+  , type: 'gauge'
+  , help: 'Number of topics in the metadata cache'
+  }
+, {
+    path: 'brokers'
+  , type: 'dict'
+  }
+, {
+    path: 'brokers.*'
+  , type: 'object'
+  , prefix: 'broker_'
+  }
+, {
+    path: 'brokers.*.name'
+  , type: 'label'
+  , label: 'name'
+  }
+, {
+    path: 'brokers.*.nodeid'
+  , type: 'label'
+  , label: 'nodeid'
+  }
+, {
+    path: 'brokers.*.nodename'
+  , type: 'ignored'
+  , reason: 'The host and port are part of the broker name'
+  }
+, {
+    path: 'brokers.*.source'
+  , type: 'state'
+  , help: 'Broker source'
+  , states: BROKER_SOURCES
+  , description: 'broker source'
+  }
+, {
+    path: 'brokers.*.state'
+  , type: 'state'
+  , help: 'Broker state'
+  , states: BROKER_STATES
+  , description: 'broker state'
+  }
+, {
+    path: 'brokers.*.stateage'
+  , type: 'gauge'
+  , help: 'Time since last broker state change (microseconds)'
+  , unit: 'microseconds'
+  }
+, {
+    path: 'brokers.*.outbuf_cnt'
+  , type: 'gauge'
+  , help: 'Number of requests awaiting transmission to broker'
+  }
+, {
+    path: 'brokers.*.outbuf_msg_cnt'
+  , type: 'gauge'
+  , help: 'Number of messages in outbuf_cnt'
+  }
+, {
+    path: 'brokers.*.waitresp_cnt'
+  , type: 'gauge'
+  , help: 'Number of requests in-flight to broker awaiting response'
+  }
+, {
+    path: 'brokers.*.waitresp_msg_cnt'
+  , type: 'gauge'
+  , help: 'Number of messages in waitresp_cnt'
+  }
+, {
+    path: 'brokers.*.tx'
+  , type: 'counter'
+  , help: 'Total number of requests sent'
+  }
+, {
+    path: 'brokers.*.txbytes'
+  , type: 'counter'
+  , help: 'Total number of bytes sent'
+  , unit: 'bytes'
+  }
+, {
+    path: 'brokers.*.txerrs'
+  , type: 'counter'
+  , help: 'Total number of transmissions errors'
+  }
+, {
+    path: 'brokers.*.txretries'
+  , type: 'counter'
+  , help: 'Total number of request retries'
+  }
+, {
+    path: 'brokers.*.txidle'
+  , type: 'gauge'
+  , help: 'Microseconds since last socket send (or -1 if no sends yet for current connection)'
+  , unit: 'microseconds'
+  }
+, {
+    path: 'brokers.*.req_timeouts'
+  , type: 'counter'
+  , help: 'Total number of requests timed out'
+  }
+, {
+    path: 'brokers.*.rx'
+  , type: 'counter'
+  , help: 'Total number of responses received'
+  }
+, {
+    path: 'brokers.*.rxbytes'
+  , type: 'counter'
+  , help: 'Total number of bytes received'
+  , unit: 'bytes'
+  }
+, {
+    path: 'brokers.*.rxerrs'
+  , type: 'counter'
+  , help: 'Total number of receive errors'
+  }
+, {
+    path: 'brokers.*.rxcorriderrs'
+  , type: 'counter'
+  , help: 'Total number of unmatched correlation ids in response (typically for timed out requests)'
+  }
+, {
+    path: 'brokers.*.rxpartial'
+  , type: 'counter'
+  , help: 'Total number of partial messagesets received'
+  }
+, {
+    path: 'brokers.*.rxidle'
+  , type: 'gauge'
+  , help: 'Microseconds since last socket receive (or -1 if no receives yet for current connection)'
+  , unit: 'microseconds'
+  }
+, {
+    path: 'brokers.*.req'
+  , type: 'dict'
+  , label: 'request'
+  }
+, {
+    path: 'brokers.*.req.*'
+  , type: 'counter'
+  , help: 'Request type counters'
+  }
+, {
+    path: 'brokers.*.zbuf_grow'
+  , type: 'counter'
+  , help: 'Total number of decompression buffer size increases'
+  }
+, {
+    path: 'brokers.*.buf_grow'
+  , type: 'counter'
+  , help: 'Total number of buffer size increases'
+  }
+, {
+    path: 'brokers.*.wakeups'
+  , type: 'counter'
+  , help: 'Broker thread poll wakeups'
+  }
+, {
+    path: 'brokers.*.connects'
+  , type: 'counter'
+  , help: 'Number of connection attempts, including successful and failed, and name resolution failures'
+  }
+, {
+    path: 'brokers.*.disconnects'
+  , type: 'counter'
+  , help: 'Number of disconnects (triggered by broker, network, load-balancer, etc.)'
+  }
+, {
+    path: 'brokers.*.int_latency'
+  , type: 'window'
+  , help: 'Internal producer queue latency in microseconds'
+  , unit: 'microseconds'
+  , level: 'brokerWindows'
+  }
+, {
+    path: 'brokers.*.outbuf_latency'
+  , type: 'window'
+  , help: 'Internal request queue latency in microseconds'
+  , unit: 'microseconds'
+  , level: 'brokerWindows'
+  }
+, {
+    path: 'brokers.*.rtt'
+  , type: 'window'
+  , help: 'Broker latency / round-trip time in microseconds'
+  , unit: 'microseconds'
+  , level: 'brokerWindows'
+  }
+, {
+    path: 'brokers.*.throttle'
+  , type: 'window'
+  , help: 'Broker throttling time in milliseconds'
+  , unit: 'milliseconds'
+  , level: 'brokerWindows'
+  }
+, {
+    path: 'brokers.*.toppars'
+  , type: 'dict'
+  , level: 'toppars'
+  }
+, {
+    path: 'brokers.*.toppars.*'
+  , type: 'object'
+  , prefix: 'broker_toppars_'
+  , filtered: true
+  }
+, {
+    path: 'brokers.*.toppars.*.topic'
+  , type: 'label'
+  , label: 'topic'
+  }
+, {
+    path: 'brokers.*.toppars.*.partition'
+  , type: 'gauge'
+  , help: 'Partitions handled by this broker handle'
+  }
+, {
+    path: 'topics'
+  , type: 'dict'
+  }
+, {
+    path: 'topics.*'
+  , type: 'object'
+  , prefix: 'topic_'
+  , filtered: true
+  }
+, {
+    path: 'topics.*.topic'
+  , type: 'label'
+  , label: 'topic'
+  }
+, {
+    path: 'topics.*.age'
+  , type: 'gauge'
+  , help: 'Age of client\'s topic object (milliseconds)'
+  , unit: 'milliseconds'
+  }
+, {
+    path: 'topics.*.metadata_age'
+  , type: 'gauge'
+  , help: 'Age of metadata from broker for this topic (milliseconds)'
+  , unit: 'milliseconds'
+  }
+, {
+    path: 'topics.*.batchsize'
+  , type: 'window'
+  , help: 'Batch sizes in bytes'
+  , unit: 'bytes'
+  }
+, {
+    path: 'topics.*.batchcnt'
+  , type: 'window'
+  , help: 'Batch message counts'
+  }
+, {
+    path: 'topics.*.partitions'
+  , type: 'dict'
+  , level: 'partitions'
+  , partitions: true
+  }
+, {
+    path: 'topics.*.partitions.*'
+  , type: 'object'
+  , prefix: 'topic_partition_'
+  }
+, {
+    path: 'topics.*.partitions.*.partition'
+  , type: 'label'
+  , label: 'partition'
+  }
+, {
+    path: 'topics.*.partitions.*.broker'
+  , type: 'gauge'
+  , help: 'The id of the broker that messages are currently being fetched from'
+  }
+, {
+    path: 'topics.*.partitions.*.leader'
+  , type: 'gauge'
+  , help: 'Current leader broker id'
+  }
+, {
+    path: 'topics.*.partitions.*.desired'
+  , type: 'gauge'
+  , help: 'Partition is explicitly desired by application (1 = true, 0 = false)'
+  , mapper: booleanMapper
+  , aggregatable: true
+  }
+, {
+    path: 'topics.*.partitions.*.unknown'
+  , type: 'gauge'
+  , help: 'Partition is not seen in topic metadata from broker (1 = true, 0 = false)'
+  , mapper: booleanMapper
+  , aggregatable: true
+  }
+, {
+    path: 'topics.*.partitions.*.msgq_cnt'
+  , type: 'gauge'
+  , help: 'Number of messages waiting to be produced in first-level queue'
+  , aggregatable: true
+  }
+, {
+    path: 'topics.*.partitions.*.msgq_bytes'
+  , type: 'gauge'
+  , help: 'Number of bytes in msgq_cnt'
+  , unit: 'bytes'
+  , aggregatable: true
+  }
+, {
+    path: 'topics.*.partitions.*.xmit_msgq_cnt'
+  , type: 'gauge'
+  , help: 'Number of messages ready to be produced in transmit queue'
+  , aggregatable: true
+  }
+, {
+    path: 'topics.*.partitions.*.xmit_msgq_bytes'
+  , type: 'gauge'
+  , help: 'Number of bytes in xmit_msqg'
+  , unit: 'bytes'
+  , aggregatable: true
+  }
+, {
+    path: 'topics.*.partitions.*.fetchq_cnt'
+  , type: 'gauge'
+  , help: 'Number of pre-fetched messages in fetch queue'
+  , aggregatable: true
+  }
+, {
+    path: 'topics.*.partitions.*.fetchq_size'
+  , type: 'gauge'
+  , help: 'Bytes in fetchq'
+  , unit: 'bytes'
+  , aggregatable: true
+  }
+, {
+    path: 'topics.*.partitions.*.fetch_state'
+  , type: 'state'
+  , help: 'Consumer fetch state for this partition'
+  , states: FETCH_STATES
+  , description: 'topic partition fetch state'
+  }
+, {
+    path: 'topics.*.partitions.*.query_offset'
+  , type: 'gauge'
+  , help: 'Current/Last logical offset query'
+  }
+, {
+    path: 'topics.*.partitions.*.next_offset'
+  , type: 'gauge'
+  , help: 'Next offset to fetch'
+  }
+, {
+    path: 'topics.*.partitions.*.app_offset'
+  , type: 'gauge'
+  , help: 'Offset of last message passed to application'
+  }
+, {
+    path: 'topics.*.partitions.*.stored_offset'
+  , type: 'gauge'
+  , help: 'Offset to be committed'
+  }
+, {
+    path: 'topics.*.partitions.*.stored_leader_epoch'
+  , type: 'gauge'
+  , help: 'Partition leader epoch of stored offset'
+  , since: '2.1.0'
+  }
+, {
+    // See https://github.com/edenhill/librdkafka/issues/80
+    path: 'topics.*.partitions.*.commited_offset'
+  , type: 'ignored'
+  , reason: 'Misspelled duplicate of committed_offset'
+  }
+, {
+    path: 'topics.*.partitions.*.committed_offset'
+  , type: 'gauge'
+  , help: 'Last committed offset'
+  }
+, {
+    path: 'topics.*.partitions.*.committed_leader_epoch'
+  , type: 'gauge'
+  , help: 'Partition leader epoch of committed offset'
+  , since: '2.1.0'
+  }
+, {
+    path: 'topics.*.partitions.*.eof_offset'
+  , type: 'gauge'
+  , help: 'Last PARTITION_EOF signaled offset'
+  }
+, {
+    path: 'topics.*.partitions.*.lo_offset'
+  , type: 'gauge'
+  , help: 'Partition\'s low watermark offset on broker'
+  }
+, {
+    path: 'topics.*.partitions.*.hi_offset'
+  , type: 'gauge'
+  , help: 'Partition\'s high watermark offset on broker'
+  }
+, {
+    path: 'topics.*.partitions.*.ls_offset'
+  , type: 'gauge'
+  , help: 'Partition\'s last stable offset on broker, or same as hi_offset is broker version is less than 0.11.0.0'
+  }
+, {
+    path: 'topics.*.partitions.*.consumer_lag'
+  , type: 'gauge'
+  , help: 'Difference between hi_offset - app_offset'
+  , aggregatable: true
+  }
+, {
+    path: 'topics.*.partitions.*.consumer_lag_stored'
+  , type: 'gauge'
+  , help: 'Difference between (hi_offset or ls_offset) and stored_offset'
+  , aggregatable: true
+  , since: '1.7.0'
+  }
+, {
+    path: 'topics.*.partitions.*.leader_epoch'
+  , type: 'gauge'
+  , help: 'Last known partition leader epoch, or -1 if unknown'
+  , since: '2.1.0'
+  }
+, {
+    path: 'topics.*.partitions.*.txmsgs'
+  , type: 'counter'
+  , help: 'Total number of messages transmitted (produced)'
+  , aggregatable: true
+  }
+, {
+    path: 'topics.*.partitions.*.txbytes'
+  , type: 'counter'
+  , help: 'Total number of bytes transmitted'
+  , unit: 'bytes'
+  , aggregatable: true
+  }
+, {
+    path: 'topics.*.partitions.*.rxmsgs'
+  , type: 'counter'
+  , help: 'Total number of messages consumed, not including ignored messages (due to offset, etc)'
+  , aggregatable: true
+  }
+, {
+    path: 'topics.*.partitions.*.rxbytes'
+  , type: 'counter'
+  , help: 'Total number of bytes received for rxmsgs'
+  , unit: 'bytes'
+  , aggregatable: true
+  }
+, {
+    path: 'topics.*.partitions.*.msgs'
+  , type: 'counter'
+  , help: 'Total number of messages received (consumed)'
+  , aggregatable: true
+  }
+, {
+    path: 'topics.*.partitions.*.rx_ver_drops'
+  , type: 'counter'
+  , help: 'Dropped outdated messages'
+  , aggregatable: true
+  }
+, {
+    path: 'topics.*.partitions.*.msgs_inflight'
+  , type: 'gauge'
+  , help: 'Current number of messages in-flight to/from broker'
+  , aggregatable: true
+  }
+, {
+    path: 'topics.*.partitions.*.next_ack_seq'
+  , type: 'gauge'
+  , help: 'Next expected acked sequence (idempotent producer)'
+  }
+, {
+    path: 'topics.*.partitions.*.next_err_seq'
+  , type: 'gauge'
+  , help: 'Next expected errored sequence (idempotent producer)'
+  }
+, {
+    path: 'topics.*.partitions.*.acked_msgid'
+  , type: 'gauge'
+  , help: 'Last acked internal message id (idempotent producer)'
+  }
+, {
+    path: 'cgrp'
+  , type: 'object'
+  , prefix: 'cgrp_'
+  , optionLabels: ['group']
+  , optional: true
+  }
+, {
+    path: 'cgrp.state'
+  , type: 'state'
+  , help: 'Local consumer group handler\'s state'
+  , states: CGRP_STATES
+  , description: 'consumer group state'
+  }
+, {
+    path: 'cgrp.stateage'
+  , type: 'gauge'
+  , help: 'Time elapsed since last state change (milliseconds)'
+  , unit: 'milliseconds'
+  }
+, {
+    path: 'cgrp.join_state'
+  , type: 'state'
+  , help: 'Local consumer group handler\'s join state'
+  , states: CGRP_JOIN_STATES
+  , description: 'consumer group join state'
+  }
+, {
+    path: 'cgrp.rebalance_age'
+  , type: 'gauge'
+  , help: 'Time elapsed since last rebalance (assign or revoke) (milliseconds)'
+  , unit: 'milliseconds'
+  }
+, {
+    path: 'cgrp.rebalance_cnt'
+  , type: 'counter'
+  , help: 'Total number of rebalances (assign or revoke)'
+  }
+, {
+    path: 'cgrp.rebalance_reason'
+  , type: 'gauge'
+  , help: 'Reason for the last rebalance in the reason label (always 1)'
+  , valueLabel: 'reason'
+  }
+, {
+    path: 'cgrp.assignment_size'
+  , type: 'gauge'
+  , help: 'Current assignment\'s partition count'
+  }
+, {
+    path: 'eos'
+  , type: 'object'
+  , prefix: 'eos_'
+  , optional: true
+  }
+, {
+    path: 'eos.idemp_state'
+  , type: 'state'
+  , help: 'Current idempotent producer id state'
+  , states: IDEMP_STATES
+  , description: 'idempotent producer state'
+  }
+, {
+    path: 'eos.idemp_stateage'
+  , type: 'gauge'
+  , help: 'Time elapsed since last idemp_state change (milliseconds)'
+  , unit: 'milliseconds'
+  }
+, {
+    path: 'eos.txn_state'
+  , type: 'state'
+  , help: 'Current transactional producer state'
+  , states: TXN_STATES
+  , description: 'transactional producer state'
+  }
+, {
+    path: 'eos.txn_stateage'
+  , type: 'gauge'
+  , help: 'Time elapsed since last txn_state change (milliseconds)'
+  , unit: 'milliseconds'
+  }
+, {
+    path: 'eos.txn_may_enq'
+  , type: 'gauge'
+  , help: 'Transactional state allows enqueuing (producing) new messages (1 = true, 0 = false)'
+  , mapper: booleanMapper
+  }
+, {
+    path: 'eos.producer_id'
+  , type: 'gauge'
+  , help: 'The currently assigned Producer ID (or -1)'
+  }
+, {
+    path: 'eos.producer_epoch'
+  , type: 'gauge'
+  , help: 'The current epoch (or -1)'
+  }
+, {
+    path: 'eos.epoch_cnt'
+  , type: 'counter'
+  , help: 'The number of Producer ID assignments since start'
+  }
+, {
+    path: 'tx'
+  , type: 'counter'
+  , help: 'Total number of requests sent to Kafka brokers'
+  }
+, {
+    path: 'tx_bytes'
+  , type: 'counter'
+  , help: 'Total number of bytes transmitted to Kafka brokers'
+  , unit: 'bytes'
+  }
+, {
+    path: 'rx'
+  , type: 'counter'
+  , help: 'Total number of responses received from Kafka brokers'
+  }
+, {
+    path: 'rx_bytes'
+  , type: 'counter'
+  , help: 'Total number of bytes received from Kafka brokers'
+  , unit: 'bytes'
+  }
+, {
+    path: 'txmsgs'
+  , type: 'counter'
+  , help: 'Total number of messages transmitted (produced) to Kafka brokers'
+  }
+, {
+    path: 'txmsg_bytes'
+  , type: 'counter'
+  , help: 'Total number of message bytes (including framing, such as per-Message framing and MessageSet/batch framing) transmitted to Kafka brokers'
+  , unit: 'bytes'
+  }
+, {
+    path: 'rxmsgs'
+  , type: 'counter'
+  , help: 'Total number of messages consumed, not including ignored messages (due to offset, etc), from Kafka brokers'
+  }
+, {
+    path: 'rxmsg_bytes'
+  , type: 'counter'
+  , help: 'Total number of message bytes (including framing) received from Kafka brokers'
+  , unit: 'bytes'
+  }
+]
+/* eslint-enable sort-keys */
+
+/**
+ * Compare two versions numerically
+ *
+ * @param {string} a version
+ * @param {string} b version
+ * @return {number} negative if a is before b, positive if a is after b, 0 if they are the same
+ */
+function compareVersions(a, b) {
+  const partsA = a.split('.').map((part) => { return parseInt(part, 10) || 0 })
+  const partsB = b.split('.').map((part) => { return parseInt(part, 10) || 0 })
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const difference = (partsA[i] || 0) - (partsB[i] || 0)
+    if (difference) {
+      return difference
+    }
+  }
+  return 0
+}
+
+/**
+ * Check whether librdkafka emits a field in a version
+ *
+ * @param {SchemaEntry} entry entry of the field
+ * @param {string} [version] librdkafka version, any version if not given
+ * @return {boolean} true if the field applies to the version
+ */
+function isApplicable({since, until}, version) {
+  if (!version) {
+    return true
+  }
+  if (since && compareVersions(version, since) < 0) {
+    return false
+  }
+  return !until || compareVersions(version, until) < 0
+}
+
+function parentPath(path) {
+  const index = path.lastIndexOf('.')
+  return index === -1 ? '' : path.slice(0, index)
+}
+
+function childPath(path, field) {
+  return path ? `${path}.${field}` : field
+}
+
+// Pass the labels, level and partitions of objects and dicts down to their fields
+function inherit(node, labelNames, aggregatedLabelNames) {
+  let fieldLabelNames = labelNames
+  if (node.type === 'object' && node.path) {
+    const labels = [...node.children.values()].filter(({type}) => { return type === 'label' })
+    fieldLabelNames = [
+      ...labelNames
+    , ...labels.map(({label}) => { return label })
+    , ...node.optionLabels || []
+    ]
+  } else if (node.type === 'dict' && node.label) {
+    fieldLabelNames = [...labelNames, node.label]
+  }
+  const fieldAggregatedLabelNames = node.partitions ? labelNames : aggregatedLabelNames
+  for (const child of node.children.values()) {
+    child.labelNames = child.valueLabel ? [...fieldLabelNames, child.valueLabel] : fieldLabelNames
+    child.level = child.level || node.level
+    if (fieldAggregatedLabelNames) {
+      child.aggregatedLabelNames = fieldAggregatedLabelNames
+    }
+    inherit(child, fieldLabelNames, fieldAggregatedLabelNames)
+  }
+}
+
+/**
+ * Compile a schema into a tree for translating statistics
+ *
+ * Each node is the entry with the `key` of its metric, the `children` by field and the `labelNames` of its series
+ * besides the global labels of the handle. Nodes below a `partitions` dict also have the `aggregatedLabelNames` of their
+ * series when the partitions are aggregated.
+ *
+ * @param {SchemaEntry[]} [schema] schema
+ * @return {Map.<string,Object>} nodes by path in the order of the schema, starting with the root object with path `''`
+ */
+function compileSchema(schema = SCHEMA) {
+  const root = {children: new Map(), labelNames: [], path: '', prefix: '', type: 'object'}
+  const nodes = new Map([['', root]])
+  for (const entry of schema) {
+    const parent = nodes.get(parentPath(entry.path))
+    if (!parent || !['object', 'dict'].includes(parent.type)) {
+      throw new Error(`The parent of ${entry.path} is not an object or dict in the schema`)
+    }
+    const field = entry.path.slice(parent.path ? parent.path.length + 1 : 0)
+    const node = {
+      ...entry
+    , children: new Map()
+    , key: parent.type === 'object' ? `${parent.prefix}${field}` : parent.key
+    }
+    parent.children.set(field, node)
+    nodes.set(entry.path, node)
+  }
+  inherit(root, [])
+  return nodes
+}
+
+/**
+ * Compare observed statistics with a schema
+ *
+ * A field of the schema is missing if none of the statistics contained it, although they contained the object it
+ * belongs to. Fields of dicts count as contained once the dict has a key, and optional fields are never missing.
+ * Unknown fields are reported once, without their fields.
+ *
+ * @param {Object[]} statistics rdkafka raw statistics
+ * @param {Object} [options] options
+ * @param {SchemaEntry[]} [options.schema] schema to compare with
+ * @param {string} [options.version] librdkafka version that emitted the statistics, to only expect the fields of that version
+ * @return {SchemaDrift} paths of the missing and unknown fields
+ */
+function schemaDrift(statistics, options = {}) {
+  const {schema = SCHEMA, version} = options
+  const nodes = compileSchema(schema)
+  const observed = new Set([''])
+  const unknown = new Set()
+  function walk(node, value) {
+    observed.add(node.path)
+    if (node.type === 'window') {
+      for (const field of Object.keys(value)) {
+        const path = childPath(node.path, field)
+        if (WINDOW_FIELDS.includes(field)) {
+          observed.add(path)
+        } else {
+          unknown.add(path)
+        }
+      }
+      return
+    }
+    if (node.type === 'dict') {
+      const item = node.children.get('*')
+      for (const field of Object.keys(value)) {
+        walk(item, value[field])
+      }
+      return
+    }
+    if (node.type !== 'object') {
+      return
+    }
+    for (const field of Object.keys(value)) {
+      const child = node.children.get(field)
+      if (child && isApplicable(child, version)) {
+        walk(child, value[field])
+      } else {
+        unknown.add(childPath(node.path, field))
+      }
+    }
+  }
+  for (const stats of statistics) {
+    walk(nodes.get(''), stats)
+  }
+
+  const expected = []
+  for (const entry of schema) {
+    if (entry.optional || entry.path.endsWith('*') || !isApplicable(entry, version)) {
+      continue
+    }
+    expected.push(entry.path)
+    if (entry.type === 'window') {
+      expected.push(...WINDOW_FIELDS.map((field) => { return childPath(entry.path, field) }))
+    }
+  }
+  const missing = expected.filter((path) => {
+    return observed.has(parentPath(path)) && !observed.has(path)
+  })
+  return {missing: missing.sort(), unknown: [...unknown].sort()}
+}
+
+module.exports = {
+  BROKER_SOURCES
+, BROKER_STATES
+, CGRP_JOIN_STATES
+, CGRP_STATES
+, FETCH_STATES
+, IDEMP_STATES
+, SCHEMA
+, TXN_STATES
+, WINDOW_FIELDS
+, booleanMapper
+, compileSchema
+, compareVersions
+, schemaDrift
+}
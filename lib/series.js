@@ -0,0 +1,33 @@
+'use strict'
+
+/**
+ * Build a stable key for a set of labels, independent of the order of the label names
+ *
+ * @param {Object.<string,string>} labels labels of a series
+ * @return {string} key for the labels
+ */
+function labelsKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map((name) => {
+    return [name, labels[name]]
+  }))
+}
+
+/**
+ * Remove a series from a metric that keeps its series in a `hashMap` by `labelsKey()`
+ *
+ * Like `remove()` of prom-client metrics, the label values are in the order of the label names.
+ *
+ * @param {Object} metric metric with `labelNames` and `hashMap`
+ * @param {string[]} labelValues values of the labels of the series
+ * @return {void}
+ */
+function removeByLabelValues(metric, labelValues) {
+  const labels = {}
+  metric.labelNames.forEach((name, i) => { labels[name] = labelValues[i] })
+  delete metric.hashMap[labelsKey(labels)]
+}
+
+module.exports = {
+  labelsKey
+, removeByLabelValues
+}
@@ -0,0 +1,18 @@
+'use strict'
+
+// Worker forwarding the statistics of a stand-in client until the primary tells it to exit
+const {EventEmitter} = require('events')
+const {parentPort} = require('worker_threads')
+const {forward} = require('../../../lib/cluster.js')
+const {consumerStats} = require('./index.js')
+
+const client = new EventEmitter()
+client.globalConfig = {'group.id': 'test-group', 'statistics.interval.ms': 1000}
+client.subscribe = () => {}
+forward(client)
+client.emit('event.stats', {message: JSON.stringify(consumerStats())})
+
+const port = parentPort || process
+port.once('message', () => {
+  process.exit(0)
+})
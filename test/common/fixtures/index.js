@@ -0,0 +1,18 @@
+'use strict'
+
+const consumerStats = require('./consumer-stats.json')
+const producerStats = require('./producer-stats.json')
+
+// Tests mutate the statistics to simulate changes between intervals, so always hand out copies.
+function clone(stats) {
+  return JSON.parse(JSON.stringify(stats))
+}
+
+module.exports = {
+  consumerStats() {
+    return clone(consumerStats)
+  }
+, producerStats() {
+    return clone(producerStats)
+  }
+}
@@ -0,0 +1,99 @@
+'use strict'
+
+const {EventEmitter} = require('events')
+const prometheus = require('prom-client')
+const RdkafkaStats = require('../../index.js')
+
+// A collector with its own registry, so that tests do not share metrics
+function newStats(options, Collector = RdkafkaStats) {
+  const registry = new prometheus.Registry()
+  const stat = new Collector({registers: [registry], ...options})
+  return {registry, stat}
+}
+
+// Series of a prom-client metric, optionally only those with the given label values
+function seriesOf(metric, labels = {}) {
+  return Object.values(metric.hashMap).filter((series) => {
+    return Object.keys(labels).every((name) => {
+      return series.labels[name] === labels[name]
+    })
+  })
+}
+
+function valuesOf(metric) {
+  return seriesOf(metric).map(({value}) => { return value })
+}
+
+// Samples of the metric registered under the name, including the buckets of histograms and summaries
+function samplesOf(registry, name) {
+  const metric = registry.getSingleMetric(name)
+  return metric ? metric.get().values : []
+}
+
+// Value of the series with the given label values
+function valueOf(metric, labels) {
+  const [series] = seriesOf(metric, labels)
+  return series && series.value
+}
+
+function labelsOf(metric) {
+  return seriesOf(metric).map(({labels}) => { return labels })
+}
+
+// Label values and value of each series of a prom-client metric or data point of an OpenTelemetry metric,
+// in a single object
+function pointsOf(metric) {
+  if (metric.dataPoints) {
+    return metric.dataPoints.map(({attributes, value}) => {
+      return {...attributes, value}
+    })
+  }
+  return seriesOf(metric).map(({labels, value}) => { return {...labels, value} })
+}
+
+// Distinct values of a label across the series of a metric, sorted
+function labelValuesOf(metric, name) {
+  const values = seriesOf(metric).map(({labels}) => { return labels[name] })
+  return [...new Set(values)].sort()
+}
+
+// Stand-in for a node-rdkafka client, which is an event emitter with its configuration in `globalConfig`
+function fakeClient(config = {'statistics.interval.ms': 1000}) {
+  const client = new EventEmitter()
+  client.globalConfig = config
+  return client
+}
+
+function fakeConsumer(name = 'rdkafka#consumer-1') {
+  const client = fakeClient()
+  client.name = name
+  client.subscribe = () => {}
+  return client
+}
+
+function fakeProducer(name = 'rdkafka#producer-1') {
+  const client = fakeClient()
+  client.name = name
+  return client
+}
+
+// node-rdkafka knows the handle name of a client by the time it emits statistics
+function emitStats(client, stats) {
+  client.name = stats.name
+  client.emit('event.stats', {message: JSON.stringify(stats)})
+}
+
+module.exports = {
+  emitStats
+, fakeClient
+, fakeConsumer
+, fakeProducer
+, labelValuesOf
+, labelsOf
+, newStats
+, pointsOf
+, samplesOf
+, seriesOf
+, valueOf
+, valuesOf
+}
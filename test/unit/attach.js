@@ -0,0 +1,101 @@
+'use strict'
+
+const {EventEmitter} = require('events')
+const tap = require('tap')
+const {consumerStats} = require('../common/fixtures/index.js')
+const {emitStats, fakeClient, labelValuesOf, newStats} = require('../common/helpers.js')
+
+function handles(stat) {
+  return labelValuesOf(stat.metrics.REPLYQ, 'handle')
+}
+
+tap.test('attach', async (t) => {
+  t.test('observes statistics emitted by the client', async (t) => {
+    const {stat} = newStats()
+    const client = fakeClient()
+    stat.attach(client)
+    emitStats(client, consumerStats())
+    t.same(handles(stat), ['rdkafka#consumer-1'], 'statistics observed')
+  })
+
+  t.test('accepts the stream wrappers', async (t) => {
+    const {stat} = newStats()
+    const consumer = fakeClient()
+    const producer = fakeClient()
+    stat.attach({consumer})
+    stat.attach({producer})
+    emitStats(consumer, consumerStats())
+    emitStats(producer, {...consumerStats(), name: 'rdkafka#producer-1'})
+    t.same(
+      handles(stat)
+    , ['rdkafka#consumer-1', 'rdkafka#producer-1']
+    , 'statistics of both observed'
+    )
+  })
+
+  t.test('ignores statistics that cannot be parsed', async (t) => {
+    const {stat} = newStats()
+    const client = fakeClient()
+    stat.attach(client)
+    t.doesNotThrow(() => {
+      client.emit('event.stats', {message: '{"name": '})
+      client.emit('event.stats', {message: 'null'})
+    }, 'invalid statistics do not throw')
+    t.same(handles(stat), [], 'nothing observed')
+  })
+
+  t.test('removes the series of the client on disconnect', async (t) => {
+    const {stat} = newStats()
+    const client = fakeClient()
+    stat.attach(client)
+    emitStats(client, consumerStats())
+    client.emit('disconnected', {})
+    t.same(handles(stat), [], 'series removed')
+  })
+
+  t.test('keeps the series on disconnect if asked to', async (t) => {
+    const {stat} = newStats()
+    const client = fakeClient()
+    stat.attach(client, {forgetOnDisconnect: false})
+    emitStats(client, consumerStats())
+    client.emit('disconnected', {})
+    t.same(handles(stat), ['rdkafka#consumer-1'], 'series kept')
+  })
+
+  t.test('detach stops observing the client', async (t) => {
+    const {stat} = newStats()
+    const client = fakeClient()
+    const detach = stat.attach(client)
+    detach()
+    t.equal(client.listenerCount('event.stats'), 0, 'no statistics listener left')
+    t.equal(client.listenerCount('disconnected'), 0, 'no disconnect listener left')
+    emitStats(client, consumerStats())
+    t.same(handles(stat), [], 'nothing observed')
+  })
+
+  t.test('handles clients without statistics configuration or events', async (t) => {
+    const {stat} = newStats()
+    t.doesNotThrow(() => {
+      stat.attach(fakeClient({}))
+    }, 'client without statistics interval')
+    const detach = stat.attach({globalConfig: {'statistics.interval.ms': 1000}})
+    t.type(detach, 'function', 'detach function for clients without events')
+    t.doesNotThrow(detach, 'detaching is a no-op')
+  })
+
+  t.test('labels consumer group metrics with the group.id of the client', async (t) => {
+    const {stat} = newStats()
+    const client = fakeClient({'statistics.interval.ms': 1000, 'group.id': 'my-group'})
+    stat.attach(client)
+    emitStats(client, consumerStats())
+    t.same(labelValuesOf(stat.metrics.CGRP_STATE, 'group'), ['my-group'], 'group label')
+  })
+
+  t.test('handles clients without configuration', async (t) => {
+    const {stat} = newStats()
+    const client = new EventEmitter()
+    stat.attach(client)
+    emitStats(client, consumerStats())
+    t.same(labelValuesOf(stat.metrics.CGRP_STATE, 'group'), [''], 'empty group label')
+  })
+})
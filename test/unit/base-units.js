@@ -0,0 +1,78 @@
+'use strict'
+
+const tap = require('tap')
+const {consumerStats} = require('../common/fixtures/index.js')
+const {newStats, valueOf} = require('../common/helpers.js')
+
+tap.test('base units', async (t) => {
+  t.test('keeps rdkafka units by default', async (t) => {
+    const {registry, stat} = newStats()
+    stat.observe(consumerStats())
+    t.ok(registry.getSingleMetric('rdkafka_age'), 'duration name')
+    t.ok(registry.getSingleMetric('rdkafka_tx_bytes'), 'size name')
+    t.equal(valueOf(stat.metrics.AGE, {}), 9057234, 'microseconds')
+  })
+
+  t.test('names metrics with base unit suffixes', async (t) => {
+    const {registry, stat} = newStats({baseUnits: true})
+    const names = stat.registers[0].getMetricsAsArray().map(({name}) => { return name })
+    for (const name of [
+      'rdkafka_ts_seconds'
+    , 'rdkafka_time_seconds'
+    , 'rdkafka_age_seconds'
+    , 'rdkafka_msg_size_bytes'
+    , 'rdkafka_tx_bytes'
+    , 'rdkafka_broker_txbytes'
+    , 'rdkafka_broker_tx_bytes'
+    , 'rdkafka_broker_rtt_seconds'
+    , 'rdkafka_broker_rtt_avg_seconds'
+    , 'rdkafka_broker_rtt_cnt'
+    , 'rdkafka_broker_rtt_outofrange'
+    , 'rdkafka_broker_rtt_hdrsize_bytes'
+    , 'rdkafka_topic_batchsize_bytes'
+    , 'rdkafka_topic_batchcnt_hdrsize_bytes'
+    , 'rdkafka_topic_partition_fetchq_size_bytes'
+    , 'rdkafka_cgrp_stateage_seconds'
+    ]) {
+      t.equal(names.includes(name), name !== 'rdkafka_broker_txbytes', name)
+    }
+    const {help} = registry.getSingleMetric('rdkafka_ts_seconds')
+    t.match(help, /\(seconds\)$/, 'help mentions seconds')
+    const {help: txidle} = registry.getSingleMetric('rdkafka_broker_txidle_seconds')
+    t.match(txidle, /^Seconds since last socket send /, 'capitalized unit')
+    const {help: rxidle} = registry.getSingleMetric('rdkafka_broker_rxidle_seconds')
+    t.match(rxidle, /^Seconds since last socket receive /, 'capitalized unit')
+  })
+
+  t.test('converts durations to seconds', async (t) => {
+    const {stat} = newStats({baseUnits: true})
+    stat.observe(consumerStats())
+    const broker = {name: 'localhost:9092/1'}
+    t.equal(valueOf(stat.metrics.AGE, {}), 9.057234, 'microseconds')
+    t.equal(valueOf(stat.metrics.TOPIC_AGE, {topic: 'test_topic'}), 9.046, 'milliseconds')
+    t.equal(valueOf(stat.metrics.CGRP_STATEAGE, {}), 8.987, 'milliseconds')
+    t.equal(valueOf(stat.metrics.BROKER_RTT_AVG, broker), 0.005432, 'window value')
+    const p99 = {...broker, quantile: '0.99'}
+    t.equal(valueOf(stat.metrics.BROKER_RTT, p99), 0.251903, 'percentile')
+    t.equal(valueOf(stat.metrics.BROKER_RTT_CNT, broker), 320, 'sample count')
+    const bootstrap = {name: 'localhost:9092/bootstrap'}
+    t.equal(valueOf(stat.metrics.BROKER_TXIDLE, bootstrap), -1, 'not available')
+    t.equal(valueOf(stat.metrics.BROKER_TXBYTES, broker), 84283, 'bytes')
+  })
+
+  t.test('applies the unit before the counter suffix', async (t) => {
+    const {registry, stat} = newStats({baseUnits: true, counters: true})
+    stat.observe(consumerStats())
+    t.ok(registry.getSingleMetric('rdkafka_broker_tx_bytes_total'), 'bytes counter')
+    const rdkafkaName = 'rdkafka_broker_txbytes_total'
+    t.notOk(registry.getSingleMetric(rdkafkaName), 'rdkafka name not used')
+  })
+
+  t.test('keeps explicit name overrides', async (t) => {
+    const {registry} = newStats({
+      baseUnits: true
+    , metrics: {AGE: {name: 'kafka_client_age_seconds'}}
+    })
+    t.ok(registry.getSingleMetric('kafka_client_age_seconds'), 'overridden name')
+  })
+})
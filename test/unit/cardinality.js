@@ -0,0 +1,109 @@
+'use strict'
+
+const tap = require('tap')
+const {consumerStats} = require('../common/fixtures/index.js')
+const {labelValuesOf, newStats, seriesOf, valuesOf} = require('../common/helpers.js')
+
+function withTopics(stats, ...topics) {
+  const [topic] = Object.values(stats.topics)
+  stats.topics = {}
+  for (const name of topics) {
+    stats.topics[name] = {...JSON.parse(JSON.stringify(topic)), topic: name}
+  }
+  const broker = stats.brokers['localhost:9092/1']
+  broker.toppars = {}
+  for (const name of topics) {
+    broker.toppars[`${name}-0`] = {topic: name, partition: 0}
+  }
+  return stats
+}
+
+function topics(metric) {
+  return labelValuesOf(metric, 'topic')
+}
+
+tap.test('cardinality', async (t) => {
+  t.test('includes topics by name or pattern', async (t) => {
+    const {stat} = newStats({includeTopics: ['orders', /^audit\./]})
+    stat.observe(withTopics(consumerStats(), 'orders', 'audit.log', 'events'))
+    const expected = ['audit.log', 'orders']
+    t.same(topics(stat.metrics.TOPIC_AGE), expected, 'topics')
+    t.same(topics(stat.metrics.TOPIC_PARTITION_CONSUMER_LAG), expected, 'partitions')
+    t.same(topics(stat.metrics.BROKER_TOPPARS_PARTITION), expected, 'toppars')
+  })
+
+  t.test('excludes topics by name or pattern', async (t) => {
+    const {stat} = newStats({excludeTopics: ['orders', /^audit\./]})
+    stat.observe(withTopics(consumerStats(), 'orders', 'audit.log', 'events'))
+    t.same(topics(stat.metrics.TOPIC_AGE), ['events'], 'topics')
+    t.same(topics(stat.metrics.BROKER_TOPPARS_PARTITION), ['events'], 'toppars')
+  })
+
+  t.test('exclusion wins over inclusion', async (t) => {
+    const {stat} = newStats({includeTopics: [/^audit\./], excludeTopics: ['audit.log']})
+    stat.observe(withTopics(consumerStats(), 'audit.log', 'audit.trail'))
+    t.same(topics(stat.metrics.TOPIC_AGE), ['audit.trail'], 'topics')
+  })
+
+  t.test('disables levels', async (t) => {
+    const {registry, stat} = newStats({
+      levels: {brokerWindows: false, partitions: false, toppars: false}
+    })
+    stat.observe(consumerStats())
+    for (const key of ['TOPIC_PARTITION_CONSUMER_LAG', 'BROKER_TOPPARS_PARTITION'
+    , 'BROKER_RTT', 'BROKER_RTT_AVG', 'BROKER_INT_LATENCY_MAX']) {
+      t.notOk(stat.metrics[key], `${key} disabled`)
+    }
+    t.notOk(registry.getSingleMetric('rdkafka_broker_rtt_avg'), 'metric not registered')
+    t.ok(stat.metrics.BROKER_STATE, 'other broker metrics remain')
+    t.ok(stat.metrics.TOPIC_BATCHSIZE_AVG, 'topic windows remain')
+    t.same([...stat.warnedUnknownMetrics], [], 'disabled levels are not unknown')
+  })
+
+  t.test('skips the unassigned partition', async (t) => {
+    const {stat} = newStats({skipUnassignedPartition: true})
+    stat.observe(consumerStats())
+    const lag = stat.metrics.TOPIC_PARTITION_CONSUMER_LAG
+    t.same(labelValuesOf(lag, 'partition'), [0, 1], 'no -1 partition')
+  })
+
+  t.test('aggregates partitions per topic', async (t) => {
+    const {stat} = newStats({aggregatePartitions: true})
+    stat.observe(consumerStats())
+    const lag = stat.metrics.TOPIC_PARTITION_CONSUMER_LAG
+    t.notOk(lag.labelNames.includes('partition'), 'no partition label')
+    const series = seriesOf(lag)
+    t.equal(series.length, 1, 'one series per topic')
+    t.equal(series[0].value, 10, 'unknown lag (-1) is not part of the total')
+    const [desired] = seriesOf(stat.metrics.TOPIC_PARTITION_DESIRED)
+    t.equal(desired.value, 2, 'number of desired partitions')
+    t.notOk(stat.metrics.TOPIC_PARTITION_HI_OFFSET, 'offsets are not aggregated')
+    t.notOk(stat.metrics.TOPIC_PARTITION_FETCH_STATE, 'states are not aggregated')
+  })
+
+  t.test('adds up the increases of aggregated partition counters', async (t) => {
+    const {stat} = newStats({aggregatePartitions: true, counters: true})
+    const stats = consumerStats()
+    const {partitions} = stats.topics.test_topic
+    delete partitions['-1']
+    partitions['0'].msgs = 100
+    partitions['1'].msgs = 50
+    stat.observe(stats)
+    const msgs = stat.metrics.TOPIC_PARTITION_MSGS
+    t.same(valuesOf(msgs), [150], 'sum of the partitions')
+
+    // Partition 1 is revoked
+    delete partitions['1']
+    partitions['0'].msgs = 110
+    stat.observe(stats)
+    t.same(valuesOf(msgs), [160], 'only the increase of partition 0')
+
+    // Partition 1 is assigned again, and librdkafka counts from 0
+    partitions['1'] = {...partitions['0'], msgs: 5, partition: 1}
+    stat.observe(stats)
+    t.same(valuesOf(msgs), [165], 'restarted partition')
+
+    stat.forgetHandle(stats.name)
+    t.equal(stat.aggregatedCounters.size, 0, 'forgotten')
+  })
+})
@@ -0,0 +1,147 @@
+'use strict'
+
+const path = require('path')
+const {execFile} = require('child_process')
+const {PassThrough} = require('stream')
+const tap = require('tap')
+const {main} = require('../../lib/cli.js')
+const {consumerStats, producerStats} = require('../common/fixtures/index.js')
+
+const BIN = path.join(__dirname, '..', '..', 'bin', 'rdkafka-prometheus.js')
+
+function output() {
+  const stream = new PassThrough()
+  stream.text = ''
+  stream.on('data', (chunk) => { stream.text += chunk })
+  return stream
+}
+
+async function run(args, input) {
+  const stdin = new PassThrough()
+  const stdout = output()
+  const stderr = output()
+  stdin.end(input)
+  const code = await main(args, {stderr, stdin, stdout})
+  return {code, stderr: stderr.text, stdout: stdout.text}
+}
+
+function lines(...documents) {
+  return documents.map((document) => { return `${JSON.stringify(document)}\n` }).join('')
+}
+
+tap.test('cli', async (t) => {
+  t.test('prints the metrics of the statistics from stdin', async (t) => {
+    const {code, stdout} = await run(['--include-metric', 'AGE'], lines(consumerStats()))
+    t.equal(code, 0, 'exit code')
+    t.equal(stdout, [
+      '# HELP rdkafka_age Time since this client instance was created (microseconds)'
+    , '# TYPE rdkafka_age gauge'
+    , 'rdkafka_age{handle="rdkafka#consumer-1",type="consumer"} 9057234'
+    , ''
+    ].join('\n'), 'exposition')
+  })
+
+  t.test('reads statistics from a file', async (t) => {
+    const dir = t.testdir({'stats.jsonl': `\n${lines(consumerStats(), producerStats())}`})
+    const file = path.join(dir, 'stats.jsonl')
+    const {code, stdout} = await run(['--include-metric', '/^AGE$/', file])
+    t.equal(code, 0, 'exit code')
+    t.match(stdout, /rdkafka_age\{handle="rdkafka#consumer-1"/, 'consumer')
+    t.match(stdout, /rdkafka_age\{handle="rdkafka#producer-1"/, 'producer')
+  })
+
+  t.test('prints the changes between the first and the last statistics', async (t) => {
+    const later = consumerStats()
+    later.age += 1000000
+    const {partitions} = later.topics.test_topic
+    partitions['0'].consumer_lag = 0
+    partitions['2'] = {...partitions['1'], consumer_lag: 5, partition: 2}
+    delete partitions['1']
+    const args = ['--diff', '--include-metric', '/^(AGE|TOPIC_PARTITION_CONSUMER_LAG)$/']
+    const {code, stdout} = await run(args, lines(consumerStats(), consumerStats(), later))
+    t.equal(code, 0, 'exit code')
+    const labels = 'handle="rdkafka#consumer-1",type="consumer"'
+    const partition = `${labels},topic="test_topic",partition="`
+    t.equal(stdout, [
+      `- rdkafka_age{${labels}} 9057234`
+    , `+ rdkafka_age{${labels}} 10057234`
+    , `- rdkafka_topic_partition_consumer_lag{${partition}0"} 10`
+    , `+ rdkafka_topic_partition_consumer_lag{${partition}0"} 0`
+    , `+ rdkafka_topic_partition_consumer_lag{${partition}2"} 5`
+    , `- rdkafka_topic_partition_consumer_lag{${partition}1"} -1`
+    , ''
+    ].join('\n'), 'changed series')
+  })
+
+  t.test('applies the collector options', async (t) => {
+    const args = [
+      '--name-prefix', 'app_'
+    , '--base-units'
+    , '--counters'
+    , '--state-sets'
+    , '--aggregate-partitions'
+    , '--skip-unassigned-partition'
+    , '--windows', 'summary'
+    , '--include-topic', 'test_topic'
+    , '--exclude-topic', '/^other/'
+    , '--exclude-metric', 'AGE'
+    , '--group', 'test-group'
+    ]
+    const {code, stdout} = await run(args, lines(consumerStats()))
+    t.equal(code, 0, 'exit code')
+    t.notMatch(stdout, /app_rdkafka_age/, 'excluded')
+    t.match(stdout, /app_rdkafka_tx_total/, 'counters')
+    t.match(stdout, /app_rdkafka_broker_rtt_seconds\{.*quantile="0.99"/, 'summaries')
+    const state = /app_rdkafka_cgrp_state\{.*group="test-group".*state="up"\} 1/
+    t.match(stdout, state, 'states')
+    t.notMatch(stdout, /partition=/, 'aggregated partitions')
+    t.notMatch(stdout, /rdkafka_collector_/, 'no collector metrics')
+  })
+
+  t.test('prints the usage', async (t) => {
+    const {code, stdout} = await run(['--help'])
+    t.equal(code, 0, 'exit code')
+    t.match(stdout, /^Usage: rdkafka-prometheus/, 'usage')
+  })
+
+  t.test('fails on invalid arguments', async (t) => {
+    const unknown = await run(['--unknown'])
+    t.equal(unknown.code, 2, 'unknown option')
+    t.match(unknown.stderr, /--unknown[\s\S]*Usage:/, 'error and usage')
+    const files = await run(['a.jsonl', 'b.jsonl'])
+    t.equal(files.code, 2, 'several files')
+    t.match(files.stderr, /Expected at most one file/, 'error')
+    const pattern = await run(['--include-metric', '/x/q'])
+    t.equal(pattern.code, 2, 'invalid pattern')
+    t.match(pattern.stderr, /Invalid flags[\s\S]*Usage:/, 'error and usage')
+  })
+
+  t.test('fails on invalid input', async (t) => {
+    const invalid = await run([], `${lines(consumerStats())}{"name":\n`)
+    t.equal(invalid.code, 1, 'invalid JSON')
+    t.match(invalid.stderr, /Cannot parse statistics on line 2/, 'line number')
+    const scalar = await run([], `${lines(consumerStats())}\n42\n`)
+    t.equal(scalar.code, 1, 'not an object')
+    t.match(scalar.stderr, /Statistics on line 3 are not an object: 42/, 'line number')
+    const nothing = await run([], 'null\n')
+    t.equal(nothing.code, 1, 'null')
+    t.match(nothing.stderr, /Statistics on line 1 are not an object: null/, 'line number')
+    const empty = await run([], '\n')
+    t.equal(empty.code, 1, 'no statistics')
+    t.match(empty.stderr, /No statistics in the input/, 'error')
+    const missing = await run([path.join(t.testdir(), 'missing.jsonl')])
+    t.equal(missing.code, 1, 'missing file')
+    t.match(missing.stderr, /ENOENT/, 'error')
+  })
+
+  t.test('runs as a command', async (t) => {
+    const dir = t.testdir({'stats.jsonl': lines(consumerStats())})
+    const args = [BIN, '--include-metric', 'AGE', path.join(dir, 'stats.jsonl')]
+    const stdout = await new Promise((resolve, reject) => {
+      execFile(process.execPath, args, (err, result) => {
+        return err ? reject(err) : resolve(result)
+      })
+    })
+    t.match(stdout, /rdkafka_age\{handle="rdkafka#consumer-1"/, 'exposition')
+  })
+})
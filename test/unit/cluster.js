@@ -0,0 +1,231 @@
+'use strict'
+
+const cluster = require('cluster')
+const path = require('path')
+const {EventEmitter} = require('events')
+const {Worker} = require('worker_threads')
+const tap = require('tap')
+const prometheus = require('prom-client')
+const {ClusterStats, MESSAGE_TYPE, forward} = require('../../lib/cluster.js')
+const {consumerStats, producerStats} = require('../common/fixtures/index.js')
+const {emitStats, fakeClient, newStats, samplesOf} = require('../common/helpers.js')
+
+const PRODUCER = {handle: 'rdkafka#producer-1', type: 'producer'}
+const WORKER = path.join(__dirname, '..', 'common', 'fixtures', 'forward-worker.js')
+const METRICS = ['AGE', /^EVENT_/]
+
+// Stand-in for a worker and a client in it, forwarding through a MessagePort-like channel
+function newWorker(stat, id, options = {}) {
+  const {consumer, ...forwardOptions} = options
+  const worker = new EventEmitter()
+  worker.id = id
+  const remove = stat.addWorker(worker)
+  const client = fakeClient()
+  if (consumer) {
+    client.subscribe = () => {}
+  }
+  const port = {
+    postMessage(message) {
+      // Messages cross the channel serialized
+      worker.emit('message', JSON.parse(JSON.stringify(message)))
+    }
+  }
+  const detach = forward(client, {port, ...forwardOptions})
+  return {client, detach, remove, worker}
+}
+
+function once(emitter, event) {
+  return new Promise((resolve) => { emitter.once(event, resolve) })
+}
+
+// Resolves when the worker forwarded the statistics of its client
+function statistics(worker) {
+  return new Promise((resolve) => {
+    function onMessage({action, event}) {
+      if (action === 'event' && event === 'event.stats') {
+        worker.removeListener('message', onMessage)
+        resolve()
+      }
+    }
+    worker.on('message', onMessage)
+  })
+}
+
+tap.test('cluster', async (t) => {
+  t.test('keeps the handles of the workers apart', async (t) => {
+    const {registry, stat} = newStats({
+      extraLabels: {app: 'test'}
+    , includeMetrics: METRICS
+    }, ClusterStats)
+    const first = newWorker(stat, 1)
+    const second = newWorker(stat, 2)
+    emitStats(first.client, producerStats())
+    const stats2 = producerStats()
+    stats2.age = 1
+    emitStats(second.client, stats2)
+    t.same(samplesOf(registry, 'rdkafka_age').map(({labels, value}) => {
+      return {...labels, value}
+    }), [
+      {...PRODUCER, app: 'test', value: 9057234, worker: '1'}
+    , {...PRODUCER, app: 'test', value: 1, worker: '2'}
+    ], 'series per worker')
+
+    first.worker.emit('exit', 0)
+    t.same(samplesOf(registry, 'rdkafka_age').map(({labels}) => {
+      return labels.worker
+    }), [
+      '2'
+    ], 'series of the exited worker removed')
+    t.same([...stat.workers.keys()], ['2'], 'worker forgotten')
+    first.remove()
+    t.same([...stat.workers.keys()], ['2'], 'removed once')
+    stat.close()
+    t.notOk(registry.getSingleMetric('rdkafka_age'), 'metrics removed')
+  })
+
+  t.test('forwards the events and disconnects of clients', async (t) => {
+    const {registry, stat} = newStats({
+      includeMetrics: METRICS
+    , workerLabel: 'pid'
+    }, ClusterStats)
+    const {client, detach} = newWorker(stat, 4242, {consumer: true, events: true})
+    emitStats(client, consumerStats())
+    client.emit('event.error', {code: -195, message: 'Broker transport failure'})
+    client.emit('delivery-report', null, {
+      partition: 0
+    , timestamp: Date.now()
+    , topic: 'test_topic'
+    , value: Buffer.from('payload')
+    })
+    client.emit('event.throttle', {brokerId: 1, brokerName: 'broker', throttleTime: 5})
+    client.emit('rebalance', {code: -175}, [{partition: 0, topic: 'test_topic'}])
+    client.emit('rebalance', {code: -1})
+    const errors = samplesOf(registry, 'rdkafka_event_errors_total')
+    t.same(errors.map(({labels}) => { return labels }), [{
+      code: '-195'
+    , handle: 'rdkafka#consumer-1'
+    , pid: '4242'
+    , type: 'consumer'
+    }], 'errors')
+    const reports = samplesOf(registry, 'rdkafka_event_delivery_reports_total')
+    t.equal(reports.length, 1, 'delivery reports')
+    const [throttles] = samplesOf(registry, 'rdkafka_event_throttle_time_total')
+    t.equal(throttles.value, 5, 'throttles')
+    t.same(samplesOf(registry, 'rdkafka_event_rebalances_total').map(({labels}) => {
+      return labels.event
+    }), ['assign', 'error'], 'rebalances')
+
+    client.emit('disconnected')
+    t.same(samplesOf(registry, 'rdkafka_age'), [], 'handle forgotten on disconnect')
+    const disconnects = samplesOf(registry, 'rdkafka_event_disconnects_total')
+    t.equal(disconnects.length, 1, 'disconnects')
+    detach()
+    t.same(samplesOf(registry, 'rdkafka_event_errors_total'), [], 'removed on detach')
+    client.emit('event.error', {code: -195})
+    t.same(samplesOf(registry, 'rdkafka_event_errors_total'), [], 'no longer forwarded')
+    stat.close()
+  })
+
+  t.test('ignores other messages', async (t) => {
+    const {stat} = newStats({includeMetrics: METRICS}, ClusterStats)
+    const worker = new EventEmitter()
+    worker.threadId = 3
+    stat.addWorker(worker)
+    t.equal(stat.addWorker(worker), stat.workers.get('3').remove, 'added once')
+    worker.emit('message', null)
+    worker.emit('message', {action: 'attach', type: 'other'})
+    worker.emit('message', {action: 'unknown', type: MESSAGE_TYPE})
+    worker.emit('message', {action: 'event', client: 1, type: MESSAGE_TYPE})
+    worker.emit('message', {action: 'detach', client: 1, type: MESSAGE_TYPE})
+    t.equal(stat.workers.get('3').collector.detachers.size, 0, 'nothing attached')
+    stat.close()
+  })
+
+  t.test('aggregates the health of the workers', async (t) => {
+    const {stat} = newStats({includeMetrics: METRICS}, ClusterStats)
+    const events = []
+    stat.on('unhealthy', ({handle, worker}) => { events.push([handle, worker]) })
+    const first = newWorker(stat, 1)
+    const second = newWorker(stat, 2)
+    emitStats(first.client, consumerStats())
+    const unhealthy = consumerStats()
+    unhealthy.brokers['localhost:9092/1'].state = 'DOWN'
+    emitStats(second.client, unhealthy)
+    const health = stat.health()
+    t.equal(health.healthy, false, 'unhealthy')
+    t.same(health.handles.map(({healthy, worker}) => { return [worker, healthy] }), [
+      ['1', true]
+    , ['2', false]
+    ], 'per worker')
+    t.same(events, [['rdkafka#consumer-1', '2']], 'events with the worker')
+    t.equal(stat.health({brokersUp: false}).healthy, true, 'rules')
+    stat.close()
+  })
+
+  t.test('sends through the IPC channel of cluster workers', async (t) => {
+    const client = new EventEmitter()
+    const sent = []
+    const port = {
+      send(message, callback) {
+        sent.push(message)
+        callback(sent.length > 1 ? new Error('Channel closed') : null)
+      }
+    }
+    forward({producer: client}, {port})
+    client.name = 'rdkafka#producer-1'
+    client.emit('disconnected')
+    t.same(sent.map(({action, consumer}) => { return [action, consumer] }), [
+      ['attach', false]
+    , ['event', undefined]
+    ], 'sent')
+    t.same(sent[0].config, {}, 'no settings')
+  })
+
+  t.test('requires a worker', async (t) => {
+    t.throws(() => {
+      return forward(new EventEmitter())
+    }, /Statistics can only be forwarded from a cluster worker or a worker thread/)
+  })
+
+  t.test('aggregates worker threads', async (t) => {
+    const {registry, stat} = newStats({includeMetrics: METRICS}, ClusterStats)
+    const worker = new Worker(WORKER)
+    stat.addWorker(worker)
+    await statistics(worker)
+    t.same(samplesOf(registry, 'rdkafka_age').map(({labels}) => { return labels }), [{
+      handle: 'rdkafka#consumer-1'
+    , type: 'consumer'
+    , worker: String(worker.threadId)
+    }], 'forwarded')
+    worker.postMessage('exit')
+    await once(worker, 'exit')
+    t.same(samplesOf(registry, 'rdkafka_age'), [], 'removed on exit')
+  })
+
+  t.test('aggregates cluster workers', async (t) => {
+    const {registry, stat} = newStats({includeMetrics: METRICS}, ClusterStats)
+    cluster.setupPrimary({exec: WORKER, silent: true})
+    const stopListening = stat.listen(cluster)
+    const worker = cluster.fork()
+    await statistics(worker)
+    t.same(samplesOf(registry, 'rdkafka_age').map(({labels}) => {
+      return labels.worker
+    }), [
+      String(worker.id)
+    ], 'forwarded')
+    const other = new EventEmitter()
+    other.id = worker.id + 1
+    stopListening()
+    cluster.emit('fork', other)
+    t.notOk(stat.workers.has(String(other.id)), 'stopped listening')
+    worker.send('exit')
+    await once(worker, 'exit')
+    t.same(samplesOf(registry, 'rdkafka_age'), [], 'removed on exit')
+    const defaults = new ClusterStats()
+    t.same(defaults.registers, [prometheus.register], 'default registry')
+    defaults.listen()()
+    const {stat: existing} = newStats({includeMetrics: METRICS}, ClusterStats)
+    existing.listen({on() {}, workers: {1: other}})
+    t.ok(existing.workers.has(String(other.id)), 'existing workers')
+  })
+})
@@ -0,0 +1,95 @@
+'use strict'
+
+const tap = require('tap')
+const {consumerStats} = require('../common/fixtures/index.js')
+const {fakeClient, newStats, seriesOf, valuesOf} = require('../common/helpers.js')
+
+const HANDLE = 'rdkafka#consumer-1'
+
+function mockNow(t, now) {
+  const {now: originalNow} = Date
+  Date.now = () => { return now.value }
+  t.teardown(() => { Date.now = originalNow })
+}
+
+tap.test('collector metrics', async (t) => {
+  t.test('exports when statistics were received', async (t) => {
+    const now = {value: 1600000000000}
+    mockNow(t, now)
+    const {stat} = newStats()
+    stat.observe(consumerStats())
+    const {metrics} = stat
+    t.same(valuesOf(metrics.COLLECTOR_LAST_STATS_TIMESTAMP), [1600000000], 'timestamp')
+    t.same(valuesOf(metrics.COLLECTOR_STATS_INTERVAL), [], 'no interval yet')
+
+    now.value += 1500
+    stat.observe(consumerStats())
+    t.same(valuesOf(metrics.COLLECTOR_LAST_STATS_TIMESTAMP), [1600000001.5], 'timestamp')
+    t.same(valuesOf(metrics.COLLECTOR_STATS_INTERVAL), [1.5], 'interval')
+
+    stat.forgetHandle(HANDLE)
+    stat.observe(consumerStats())
+    t.same(valuesOf(metrics.COLLECTOR_STATS_INTERVAL), [], 'no interval after forgetting')
+  })
+
+  t.test('exports the receive time when translating lazily', async (t) => {
+    const now = {value: 1600000000000}
+    mockNow(t, now)
+    const {stat} = newStats({lazy: true})
+    stat.observe(consumerStats())
+    now.value += 1500
+    stat.collect()
+    const timestamp = valuesOf(stat.metrics.COLLECTOR_LAST_STATS_TIMESTAMP)
+    t.same(timestamp, [1600000000], 'time of observe()')
+  })
+
+  t.test('exports the size of the statistics', async (t) => {
+    const {stat} = newStats()
+    stat.observe(consumerStats())
+    t.same(valuesOf(stat.metrics.COLLECTOR_STATS_SIZE), [], 'unknown size')
+
+    const client = fakeClient()
+    stat.attach(client)
+    const message = JSON.stringify(consumerStats())
+    client.emit('event.stats', {message})
+    t.same(valuesOf(stat.metrics.COLLECTOR_STATS_SIZE), [message.length], 'size')
+  })
+
+  t.test('exports the translation time', async (t) => {
+    const {stat} = newStats()
+    stat.observe(consumerStats())
+    const [time] = valuesOf(stat.metrics.COLLECTOR_TRANSLATION_TIME)
+    t.ok(time > 0 && time < 10, 'seconds')
+  })
+
+  t.test('counts unknown keys', async (t) => {
+    const {registry, stat} = newStats()
+    stat.observe({...consumerStats(), future_field: 1})
+    stat.observe({...consumerStats(), future_field: 1})
+    stat.observe(consumerStats())
+    const name = 'rdkafka_collector_unknown_metrics_total'
+    const [series] = seriesOf(registry.getSingleMetric(name))
+    const labels = {handle: HANDLE, key: 'future_field', type: 'consumer'}
+    t.same(series.labels, labels, 'labels')
+    t.equal(series.value, 2, 'count')
+  })
+
+  t.test('does not count disabled metrics', async (t) => {
+    const {stat} = newStats({excludeMetrics: ['AGE']})
+    stat.observe(consumerStats())
+    t.same(valuesOf(stat.metrics.COLLECTOR_UNKNOWN_METRICS), [], 'not unknown')
+  })
+
+  t.test('uses base units', async (t) => {
+    const {registry, stat} = newStats({baseUnits: true})
+    stat.observe(consumerStats())
+    for (const name of [
+      'rdkafka_collector_last_stats_timestamp_seconds'
+    , 'rdkafka_collector_stats_interval_seconds'
+    , 'rdkafka_collector_stats_size_bytes'
+    , 'rdkafka_collector_translation_time_seconds'
+    ]) {
+      t.ok(registry.getSingleMetric(name), name)
+    }
+  })
+})
@@ -0,0 +1,110 @@
+'use strict'
+
+const tap = require('tap')
+const {consumerStats, producerStats} = require('../common/fixtures/index.js')
+const {newStats, seriesOf} = require('../common/helpers.js')
+
+// Topic or group and value of each series
+function lagsOf(metric) {
+  return seriesOf(metric).map(({labels, value}) => {
+    return [labels.topic || labels.group, value]
+  })
+}
+
+// Statistics two seconds later, after consuming 100 messages from partition 0
+function laterStats({appOffset = 1090, lag = 5} = {}) {
+  const stats = consumerStats()
+  stats.ts += 2000000
+  Object.assign(stats.topics.test_topic.partitions['0'], {
+    app_offset: appOffset
+  , consumer_lag: lag
+  })
+  return stats
+}
+
+tap.test('consumer lag rollups', async (t) => {
+  t.test('sums up the known lag of owned partitions', async (t) => {
+    const {stat} = newStats()
+    stat.observe(consumerStats(), {group: 'test-group'})
+    const {metrics} = stat
+    t.same(lagsOf(metrics.TOPIC_CONSUMER_LAG), [['test_topic', 10]], 'topic lag')
+    t.same(lagsOf(metrics.TOPIC_CONSUMER_LAG_MAX), [['test_topic', 10]], 'topic max')
+    t.same(lagsOf(metrics.CGRP_CONSUMER_LAG), [['test-group', 10]], 'group lag')
+    t.same(lagsOf(metrics.CGRP_CONSUMER_LAG_MAX), [['test-group', 10]], 'group max')
+    t.same(lagsOf(metrics.TOPIC_CONSUMER_CATCH_UP_TIME), [], 'no rate yet')
+  })
+
+  t.test('estimates the catch up time from the consume rate', async (t) => {
+    const {stat} = newStats()
+    stat.observe(consumerStats())
+    stat.observe(laterStats())
+    const time = stat.metrics.TOPIC_CONSUMER_CATCH_UP_TIME
+    t.same(lagsOf(time), [['test_topic', 0.1]], 'topic: 5 messages at 50/s')
+    const groupTime = stat.metrics.CGRP_CONSUMER_CATCH_UP_TIME
+    t.same(lagsOf(groupTime), [['', 0.1]], 'group')
+  })
+
+  t.test('has no estimate without progress', async (t) => {
+    const {stat} = newStats()
+    stat.observe(consumerStats())
+    stat.observe(laterStats())
+    stat.observe(laterStats({appOffset: 1090, lag: 5}))
+    const time = stat.metrics.TOPIC_CONSUMER_CATCH_UP_TIME
+    t.same(lagsOf(time), [], 'same statistics again')
+
+    stat.observe(laterStats({appOffset: 1000, lag: 95}))
+    t.same(lagsOf(time), [], 'offset moved back')
+  })
+
+  t.test('needs no time to catch up without lag', async (t) => {
+    const {stat} = newStats()
+    stat.observe(laterStats({lag: 0}))
+    const time = stat.metrics.TOPIC_CONSUMER_CATCH_UP_TIME
+    t.same(lagsOf(time), [['test_topic', 0]], 'no lag')
+  })
+
+  t.test('follows the topic filters', async (t) => {
+    const {stat} = newStats({excludeTopics: ['test_topic']})
+    stat.observe(consumerStats())
+    t.same(lagsOf(stat.metrics.TOPIC_CONSUMER_LAG), [], 'topic excluded')
+    const groupLag = lagsOf(stat.metrics.CGRP_CONSUMER_LAG)
+    t.same(groupLag, [['', 0]], 'not part of the group lag')
+  })
+
+  t.test('ignores topics without owned partitions', async (t) => {
+    const {stat} = newStats()
+    const stats = consumerStats()
+    for (const partition of Object.values(stats.topics.test_topic.partitions)) {
+      partition.desired = false
+    }
+    stat.observe(stats)
+    t.same(lagsOf(stat.metrics.TOPIC_CONSUMER_LAG), [], 'no topic lag')
+    delete stats.topics
+    stat.observe(stats)
+    t.same(lagsOf(stat.metrics.CGRP_CONSUMER_LAG), [['', 0]], 'no topics')
+  })
+
+  t.test('has no group lag without consumer group', async (t) => {
+    const {stat} = newStats()
+    const stats = consumerStats()
+    delete stats.cgrp
+    stat.observe(stats)
+    t.same(lagsOf(stat.metrics.CGRP_CONSUMER_LAG), [], 'no group lag')
+    t.same(lagsOf(stat.metrics.TOPIC_CONSUMER_LAG), [['test_topic', 10]], 'topic lag')
+  })
+
+  t.test('only applies to consumers', async (t) => {
+    const {stat} = newStats()
+    stat.observe(producerStats())
+    t.same(lagsOf(stat.metrics.TOPIC_CONSUMER_LAG), [], 'no producer lag')
+  })
+
+  t.test('forgets the offsets of a handle', async (t) => {
+    const {stat} = newStats()
+    stat.observe(consumerStats())
+    stat.forgetHandle('rdkafka#consumer-1')
+    stat.observe(laterStats())
+    const time = stat.metrics.TOPIC_CONSUMER_CATCH_UP_TIME
+    t.same(lagsOf(time), [], 'no previous offsets')
+  })
+})
@@ -0,0 +1,71 @@
+'use strict'
+
+const tap = require('tap')
+const prometheus = require('prom-client')
+const {consumerStats} = require('../common/fixtures/index.js')
+const {newStats, valueOf} = require('../common/helpers.js')
+
+const BROKER = {name: 'localhost:9092/1'}
+
+tap.test('counters', async (t) => {
+  t.test('totals are gauges by default', async (t) => {
+    const {stat} = newStats()
+    t.type(stat.metrics.BROKER_TX, prometheus.Gauge, 'gauge')
+    t.equal(stat.metrics.BROKER_TX.name, 'rdkafka_broker_tx', 'name without suffix')
+  })
+
+  t.test('totals become counters with a _total suffix', async (t) => {
+    const {stat} = newStats({counters: true, namePrefix: 'app_'})
+    for (const key of ['BROKER_TX', 'BROKER_REQ_TIMEOUTS', 'TOPIC_PARTITION_MSGS']) {
+      t.type(stat.metrics[key], prometheus.Counter, `${key} is a counter`)
+      const name = `app_rdkafka_${key.toLowerCase()}_total`
+      t.equal(stat.metrics[key].name, name, `${key} name`)
+    }
+    t.type(stat.metrics.BROKER_STATE, prometheus.Gauge, 'gauges stay gauges')
+    t.type(stat.metrics.TS, prometheus.Gauge, 'clocks are gauges')
+  })
+
+  t.test('counters follow the librdkafka totals', async (t) => {
+    const {stat} = newStats({counters: true})
+    const stats = consumerStats()
+    stat.observe(stats)
+    t.equal(valueOf(stat.metrics.BROKER_TX, BROKER), 320, 'initial total')
+
+    stats.brokers['localhost:9092/1'].tx = 350
+    stat.observe(stats)
+    t.equal(valueOf(stat.metrics.BROKER_TX, BROKER), 350, 'incremented by the difference')
+
+    stat.observe(stats)
+    t.equal(valueOf(stat.metrics.BROKER_TX, BROKER), 350, 'unchanged total')
+  })
+
+  t.test('counters handle librdkafka resets', async (t) => {
+    const {stat} = newStats({counters: true})
+    const stats = consumerStats()
+    stat.observe(stats)
+    stats.brokers['localhost:9092/1'].tx = 5
+    stat.observe(stats)
+    t.equal(valueOf(stat.metrics.BROKER_TX, BROKER), 325, 'reset counts from 0 again')
+    stats.brokers['localhost:9092/1'].tx = 10
+    stat.observe(stats)
+    t.equal(valueOf(stat.metrics.BROKER_TX, BROKER), 330, 'continues after the reset')
+  })
+
+  t.test('counters ignore unavailable values', async (t) => {
+    const {stat} = newStats({counters: true})
+    const stats = consumerStats()
+    stats.brokers['localhost:9092/1'].tx = -1
+    stat.observe(stats)
+    t.equal(valueOf(stat.metrics.BROKER_TX, BROKER), undefined, 'no series for -1')
+  })
+
+  t.test('counters start over after the series was removed', async (t) => {
+    const {stat} = newStats({counters: true})
+    const stats = consumerStats()
+    stat.observe(stats)
+    stat.forgetHandle(stats.name)
+    stats.brokers['localhost:9092/1'].tx = 400
+    stat.observe(stats)
+    t.equal(valueOf(stat.metrics.BROKER_TX, BROKER), 400, 'restarted from the total')
+  })
+})
@@ -0,0 +1,170 @@
+'use strict'
+
+const tap = require('tap')
+const prometheus = require('prom-client')
+const {fakeConsumer, fakeProducer, newStats, pointsOf} = require('../common/helpers.js')
+
+const CONSUMER = {handle: 'rdkafka#consumer-1', type: 'consumer'}
+const PRODUCER = {handle: 'rdkafka#producer-1', type: 'producer'}
+
+tap.test('client events', async (t) => {
+  t.test('are not observed by default', async (t) => {
+    const {stat} = newStats()
+    const client = fakeConsumer()
+    stat.attach(client)
+    client.emit('event.error', {code: -195})
+    t.same(pointsOf(stat.metrics.EVENT_ERRORS), [], 'no errors')
+  })
+
+  t.test('are counters regardless of the counters option', async (t) => {
+    const {registry, stat} = newStats()
+    const client = fakeConsumer()
+    stat.attach(client, {events: true})
+    client.emit('event.error', {code: -195})
+    const metric = registry.getSingleMetric('rdkafka_event_errors_total')
+    t.type(metric, prometheus.Counter, 'counter')
+    t.equal(registry.getSingleMetric('rdkafka_event_errors'), undefined, 'no gauge')
+  })
+
+  t.test('counts errors by code', async (t) => {
+    const {stat} = newStats()
+    const client = fakeConsumer()
+    stat.attach(client, {events: true})
+    client.emit('event.error', {code: -195})
+    client.emit('event.error', {code: -195})
+    client.emit('event.error', {code: -185})
+    t.same(pointsOf(stat.metrics.EVENT_ERRORS), [
+      {...CONSUMER, code: '-195', value: 2}
+    , {...CONSUMER, code: '-185', value: 1}
+    ], 'errors')
+  })
+
+  t.test('counts throttling by broker', async (t) => {
+    const {stat} = newStats({baseUnits: true})
+    const client = fakeConsumer()
+    stat.attach(client, {events: true})
+    const throttle = {brokerId: 1, brokerName: 'localhost:9092/1', throttleTime: 250}
+    client.emit('event.throttle', {...throttle, message: 'throttled'})
+    client.emit('event.throttle', {...throttle, message: 'throttled'})
+    const broker = {...CONSUMER, name: 'localhost:9092/1', nodeid: 1}
+    t.same(pointsOf(stat.metrics.EVENT_THROTTLES), [{...broker, value: 2}], 'events')
+    const time = pointsOf(stat.metrics.EVENT_THROTTLE_TIME)
+    t.same(time, [{...broker, value: 0.5}], 'throttle time in seconds')
+  })
+
+  t.test('tracks the assignment on rebalances', async (t) => {
+    const {stat} = newStats()
+    const client = fakeConsumer()
+    stat.attach(client, {events: true})
+    client.emit('rebalance', {code: -175}, [
+      {partition: 0, topic: 'test_topic'}
+    , {partition: 1, topic: 'test_topic'}
+    ])
+    client.emit('rebalance', {code: -174}, [{partition: 0, topic: 'test_topic'}])
+    client.emit('rebalance', {code: -1, message: 'Local: Broker transport failure'})
+    t.same(pointsOf(stat.metrics.EVENT_ASSIGNMENT), [
+      {...CONSUMER, partition: 1, topic: 'test_topic', value: 1}
+    ], 'assigned partitions')
+    t.same(pointsOf(stat.metrics.EVENT_REBALANCES), [
+      {...CONSUMER, event: 'assign', value: 1}
+    , {...CONSUMER, event: 'revoke', value: 1}
+    , {...CONSUMER, event: 'error', value: 1}
+    ], 'rebalances')
+  })
+
+  t.test('counts delivery reports and observes the latency', async (t) => {
+    const {now: originalNow} = Date
+    Date.now = () => { return 1600000000100 }
+    t.teardown(() => { Date.now = originalNow })
+
+    const {registry, stat} = newStats()
+    const client = fakeProducer()
+    stat.attach(client, {events: true})
+    const report = {offset: 10, partition: 0, topic: 'test_topic'}
+    client.emit('delivery-report', null, {...report, timestamp: 1600000000030})
+    client.emit('delivery-report', null, report)
+    client.emit('delivery-report', {code: -192}, {...report, timestamp: 1600000000000})
+    const topic = {...PRODUCER, topic: 'test_topic'}
+    t.same(pointsOf(stat.metrics.EVENT_DELIVERY_REPORTS), [
+      {...topic, code: '0', value: 2}
+    , {...topic, code: '-192', value: 1}
+    ], 'delivery reports')
+
+    const {values} = registry.getSingleMetric('rdkafka_event_delivery_latency').get()
+    const [latency] = values.filter(({metricName}) => {
+      return metricName.endsWith('_sum')
+    })
+    t.equal(latency.value, 70, 'latency of delivered messages with timestamp')
+  })
+
+  t.test('uses configured histogram buckets', async (t) => {
+    const {stat} = newStats({
+      baseUnits: true
+    , metrics: {EVENT_DELIVERY_LATENCY: {buckets: [0.1, 1]}}
+    })
+    const {upperBounds: configured} = stat.metrics.EVENT_DELIVERY_LATENCY
+    t.same(configured, [0.1, 1], 'configured')
+    const {stat: defaults} = newStats({baseUnits: true})
+    const {upperBounds} = defaults.metrics.EVENT_DELIVERY_LATENCY
+    t.same(upperBounds.slice(0, 2), [0.001, 0.005], 'defaults in seconds')
+  })
+
+  t.test('counts disconnects', async (t) => {
+    const {stat} = newStats()
+    const client = fakeProducer()
+    stat.attach(client, {events: true})
+    client.emit('disconnected')
+    const disconnects = pointsOf(stat.metrics.EVENT_DISCONNECTS)
+    t.same(disconnects, [{...PRODUCER, value: 1}], 'disconnects')
+  })
+
+  t.test('removes the assignment on disconnect', async (t) => {
+    const {stat} = newStats()
+    const client = fakeConsumer()
+    stat.attach(client, {events: true})
+    client.emit('rebalance', {code: -175}, [{partition: 0, topic: 'test_topic'}])
+    client.emit('event.error', {code: -195})
+    client.emit('disconnected')
+    t.same(pointsOf(stat.metrics.EVENT_ASSIGNMENT), [], 'assignment removed')
+    t.equal(pointsOf(stat.metrics.EVENT_ERRORS).length, 1, 'errors kept')
+    const {stat: keeping} = newStats()
+    const kept = fakeConsumer()
+    keeping.attach(kept, {events: true, forgetOnDisconnect: false})
+    kept.emit('rebalance', {code: -175}, [{partition: 0, topic: 'test_topic'}])
+    kept.emit('disconnected')
+    t.equal(pointsOf(keeping.metrics.EVENT_ASSIGNMENT).length, 1, 'kept if asked to')
+  })
+
+  t.test('labels events before the client is ready', async (t) => {
+    const {stat} = newStats()
+    const client = fakeProducer()
+    delete client.name
+    stat.attach(client, {events: true})
+    client.emit('event.error', {code: -195})
+    const [series] = pointsOf(stat.metrics.EVENT_ERRORS)
+    t.equal(series.handle, '', 'no handle name yet')
+  })
+
+  t.test('removes the event metrics when detaching', async (t) => {
+    const {stat} = newStats({relabel: {handle: 'client'}})
+    const client = fakeConsumer()
+    const detach = stat.attach(client, {events: true})
+    client.emit('event.error', {code: -195})
+    t.same(pointsOf(stat.metrics.EVENT_ERRORS), [
+      {client: CONSUMER.handle, code: '-195', type: 'consumer', value: 1}
+    ], 'relabelled')
+    detach()
+    client.emit('event.error', {code: -195})
+    t.same(pointsOf(stat.metrics.EVENT_ERRORS), [], 'removed')
+    t.equal(client.listenerCount('event.error'), 0, 'no listeners')
+  })
+
+  t.test('ignores disabled metrics', async (t) => {
+    const {stat} = newStats({excludeMetrics: [/^EVENT_/]})
+    const client = fakeConsumer()
+    stat.attach(client, {events: true})
+    client.emit('event.error', {code: -195})
+    client.emit('rebalance', {code: -174}, [{partition: 0, topic: 'test_topic'}])
+    t.notOk(stat.metrics.EVENT_ERRORS, 'not registered')
+  })
+})
@@ -0,0 +1,68 @@
+'use strict'
+
+const tap = require('tap')
+const {consumerStats, producerStats} = require('../common/fixtures/index.js')
+const {fakeConsumer, labelsOf, newStats} = require('../common/helpers.js')
+
+tap.test('handle labels', async (t) => {
+  t.test('are declared on all metrics', async (t) => {
+    const {stat} = newStats({extraLabels: {app: 'test'}, handleLabels: ['pipeline']})
+    t.same(stat.metrics.AGE.labelNames, ['handle', 'type', 'app', 'pipeline'], 'global')
+    t.same(stat.metrics.TOPIC_PARTITION_CONSUMER_LAG.labelNames.slice(0, 4), [
+      'handle'
+    , 'type'
+    , 'app'
+    , 'pipeline'
+    ], 'partitions')
+  })
+
+  t.test('are given per handle when observing', async (t) => {
+    const {stat} = newStats({handleLabels: ['pipeline', 'team']})
+    stat.observe(consumerStats(), {labels: {pipeline: 'ingest', team: 'data'}})
+    stat.observe(producerStats(), {labels: {pipeline: 'archive'}})
+    t.same(labelsOf(stat.metrics.AGE), [
+      {handle: 'rdkafka#consumer-1', pipeline: 'ingest', team: 'data', type: 'consumer'}
+    , {handle: 'rdkafka#producer-1', pipeline: 'archive', team: '', type: 'producer'}
+    ], 'values and empty missing values')
+    const [collector] = labelsOf(stat.metrics.COLLECTOR_TRANSLATION_TIME)
+    t.equal(collector.pipeline, 'ingest', 'collector metrics')
+  })
+
+  t.test('are empty without labels', async (t) => {
+    const {stat} = newStats({handleLabels: ['pipeline'], lazy: true})
+    stat.observe(consumerStats())
+    stat.collect()
+    const [labels] = labelsOf(stat.metrics.AGE)
+    t.equal(labels.pipeline, '', 'empty')
+  })
+
+  t.test('replace the series when they change', async (t) => {
+    const {stat} = newStats({handleLabels: ['pipeline']})
+    stat.observe(consumerStats(), {labels: {pipeline: 'ingest'}})
+    stat.observe(consumerStats(), {labels: {pipeline: 'archive'}})
+    const pipelines = labelsOf(stat.metrics.AGE).map(({pipeline}) => { return pipeline })
+    t.same(pipelines, ['archive'], 'stale series removed')
+  })
+
+  t.test('ignores undeclared labels', async (t) => {
+    const {stat} = newStats({handleLabels: ['pipeline']})
+    stat.observe(consumerStats(), {labels: {pipeline: 'ingest', team: 'data'}})
+    stat.observe(consumerStats(), {labels: {team: 'data'}})
+    t.same(labelsOf(stat.metrics.AGE), [
+      {handle: 'rdkafka#consumer-1', pipeline: '', type: 'consumer'}
+    ], 'without undeclared label')
+    t.same([...stat.warnedUnknownLabels], ['team'], 'warned once')
+  })
+
+  t.test('are given per client when attaching', async (t) => {
+    const {stat} = newStats({handleLabels: ['pipeline']})
+    const client = fakeConsumer()
+    stat.attach(client, {events: true, labels: {pipeline: 'ingest'}})
+    client.emit('event.stats', {message: JSON.stringify(consumerStats())})
+    client.emit('event.error', {code: -195})
+    const [age] = labelsOf(stat.metrics.AGE)
+    t.equal(age.pipeline, 'ingest', 'statistics')
+    const [error] = labelsOf(stat.metrics.EVENT_ERRORS)
+    t.equal(error.pipeline, 'ingest', 'events')
+  })
+})
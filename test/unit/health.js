@@ -0,0 +1,165 @@
+'use strict'
+
+const tap = require('tap')
+const {consumerStats, producerStats} = require('../common/fixtures/index.js')
+const {newStats} = require('../common/helpers.js')
+
+const HANDLE = 'rdkafka#consumer-1'
+
+function unhealthyStats() {
+  const stats = consumerStats()
+  stats.brokers['localhost:9092/1'].state = 'DOWN'
+  stats.cgrp.state = 'wait-coord'
+  stats.topics.test_topic.partitions['1'].fetch_state = 'offset-query'
+  return stats
+}
+
+tap.test('health', async (t) => {
+  t.test('is healthy without handles', async (t) => {
+    const {stat} = newStats()
+    t.same(stat.health(), {handles: [], healthy: true}, 'healthy')
+  })
+
+  t.test('evaluates the latest statistics of each handle', async (t) => {
+    const {stat} = newStats()
+    stat.observe(consumerStats())
+    stat.observe(producerStats())
+    const health = stat.health()
+    t.equal(health.healthy, true, 'healthy')
+    t.same(health.handles.map(({handle}) => { return handle }), [
+      HANDLE
+    , 'rdkafka#producer-1'
+    ], 'handles')
+    t.same(health.handles[0], {
+      brokers: []
+    , handle: HANDLE
+    , healthy: true
+    , partitions: []
+    , reasons: []
+    , type: 'consumer'
+    }, 'handle health')
+  })
+
+  t.test('reports the reasons per handle, broker and partition', async (t) => {
+    const {stat} = newStats()
+    const stats = unhealthyStats()
+    // Brokers that are not part of the cluster metadata are not checked
+    stats.brokers.GroupCoordinator.state = 'DOWN'
+    stat.observe(stats)
+    const {handles: [handle], healthy} = stat.health()
+    t.equal(healthy, false, 'unhealthy')
+    t.equal(handle.healthy, false, 'unhealthy handle')
+    t.same(handle.reasons, ['consumer group state is wait-coord'], 'handle reasons')
+    t.same(handle.brokers, [
+      {name: 'localhost:9092/1', reasons: ['broker state is DOWN']}
+    ], 'broker reasons')
+    t.same(handle.partitions, [
+      {partition: 1, reasons: ['fetch state is offset-query'], topic: 'test_topic'}
+    ], 'partition reasons')
+  })
+
+  t.test('evaluates statistics without brokers and topics', async (t) => {
+    const {stat} = newStats()
+    const stats = consumerStats()
+    delete stats.brokers
+    delete stats.topics
+    stat.observe(stats)
+    t.equal(stat.health().healthy, true, 'healthy')
+  })
+
+  t.test('checks the consumer lag', async (t) => {
+    const {stat} = newStats({health: {maxLag: 5}})
+    stat.observe(consumerStats())
+    const {handles: [handle]} = stat.health()
+    t.same(handle.partitions, [
+      {partition: 0, reasons: ['consumer lag 10 exceeds 5'], topic: 'test_topic'}
+    ], 'lag reasons')
+    t.equal(stat.health({maxLag: 10}).healthy, true, 'rules passed to health()')
+  })
+
+  t.test('checks the staleness of the statistics', async (t) => {
+    const {now: originalNow} = Date
+    let now = 1600000000000
+    Date.now = () => { return now }
+    t.teardown(() => { Date.now = originalNow })
+
+    const {stat} = newStats({health: {maxStaleness: 10}})
+    stat.observe(consumerStats())
+    now += 15000
+    const {handles: [handle]} = stat.health()
+    t.same(handle.reasons, ['no statistics for 15s'], 'stale')
+  })
+
+  t.test('checks the staleness against the observed statistics interval', async (t) => {
+    const {now: originalNow} = Date
+    let now = 1600000000000
+    Date.now = () => { return now }
+    t.teardown(() => { Date.now = originalNow })
+
+    const {stat} = newStats()
+    stat.observe(consumerStats())
+    now += 1000
+    stat.observe(consumerStats())
+    now += 2500
+    t.equal(stat.health().healthy, true, 'within three intervals')
+    now += 1000
+    const {handles: [handle]} = stat.health()
+    t.same(handle.reasons, ['no statistics for 3.5s'], 'stale')
+    t.equal(stat.health({maxStaleIntervals: Infinity}).healthy, true, 'disabled')
+
+    stat.forgetHandle(HANDLE)
+    stat.observe(consumerStats())
+    now += 60000
+    t.equal(stat.health().healthy, true, 'interval unknown again')
+  })
+
+  t.test('can disable rules', async (t) => {
+    const {stat} = newStats({
+      health: {brokersUp: false, cgrpUp: false, fetchStates: []}
+    })
+    stat.observe(unhealthyStats())
+    t.equal(stat.health().healthy, true, 'healthy')
+  })
+
+  t.test('emits transitions between healthy and unhealthy', async (t) => {
+    const {stat} = newStats()
+    const events = []
+    stat.on('healthy', ({handle}) => { events.push(['healthy', handle]) })
+    stat.on('unhealthy', ({handle}) => { events.push(['unhealthy', handle]) })
+
+    stat.observe(consumerStats())
+    t.same(events, [], 'initially healthy')
+    stat.observe(unhealthyStats())
+    stat.observe(unhealthyStats())
+    t.same(events, [['unhealthy', HANDLE]], 'became unhealthy')
+    stat.observe(consumerStats())
+    t.same(events, [
+      ['unhealthy', HANDLE]
+    , ['healthy', HANDLE]
+    ], 'became healthy again')
+  })
+
+  t.test('emits transitions when evaluating the health', async (t) => {
+    const {now: originalNow} = Date
+    let now = 1600000000000
+    Date.now = () => { return now }
+    t.teardown(() => { Date.now = originalNow })
+
+    const {stat} = newStats({health: {maxStaleness: 10}})
+    const events = []
+    stat.on('unhealthy', (handleHealth) => { events.push(handleHealth.reasons) })
+    stat.observe(consumerStats())
+    now += 15000
+    t.same(stat.health({maxStaleness: 20}).healthy, true, 'other rules')
+    t.same(events, [], 'no transitions with other rules')
+    stat.health()
+    t.same(events, [['no statistics for 15s']], 'stale')
+  })
+
+  t.test('forgets handles', async (t) => {
+    const {stat} = newStats()
+    stat.observe(unhealthyStats())
+    stat.forgetHandle(HANDLE)
+    t.same(stat.health(), {handles: [], healthy: true}, 'no handles')
+  })
+})
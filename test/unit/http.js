@@ -0,0 +1,237 @@
+'use strict'
+
+const http = require('http')
+const net = require('net')
+const zlib = require('zlib')
+const tap = require('tap')
+const express = require('express')
+const fastify = require('fastify')
+const prometheus = require('prom-client')
+const {
+  OPENMETRICS_CONTENT_TYPE
+, TEXT_CONTENT_TYPE
+, createServer
+, fastifyPlugin
+, healthHandler
+, metricsHandler
+, openMetricsExposition
+} = require('../../lib/http.js')
+const {consumerStats} = require('../common/fixtures/index.js')
+const {newStats} = require('../common/helpers.js')
+
+const OPENMETRICS = 'application/openmetrics-text; version=1.0.0'
+// A counter, a gauge and a window cover every metric type in the expositions
+const METRICS = ['AGE', 'TX', 'BROKERS_RTT']
+
+function unhealthyStats() {
+  const stats = consumerStats()
+  stats.brokers['localhost:9092/1'].state = 'DOWN'
+  return stats
+}
+
+async function listen(t, server) {
+  await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve) })
+  t.teardown(() => { server.close() })
+  return `http://127.0.0.1:${server.address().port}`
+}
+
+// Sends a request as is, for request targets that clients would refuse to send
+function raw(url, request) {
+  const {hostname, port} = new URL(url)
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(port, hostname, () => { socket.end(request) })
+    let data = ''
+    socket.on('data', (chunk) => { data += chunk })
+    socket.on('end', () => { resolve(data) })
+    socket.on('error', reject)
+  })
+}
+
+function get(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    http.get(url, {headers}, (response) => {
+      const chunks = []
+      response.on('data', (chunk) => { chunks.push(chunk) })
+      response.on('end', () => {
+        const {headers: responseHeaders, statusCode} = response
+        resolve({body: Buffer.concat(chunks), headers: responseHeaders, statusCode})
+      })
+    }).on('error', reject)
+  })
+}
+
+tap.test('http', async (t) => {
+  t.test('serves the metrics in the prometheus text format', async (t) => {
+    const {stat} = newStats({includeMetrics: METRICS})
+    stat.observe(consumerStats())
+    const url = await listen(t, createServer(stat))
+    const {body, headers, statusCode} = await get(`${url}/metrics`)
+    t.equal(statusCode, 200, 'status')
+    t.equal(headers['content-type'], TEXT_CONTENT_TYPE, 'content type')
+    t.equal(body.toString(), await stat.registers[0].metrics(), 'same as the registry')
+  })
+
+  t.test('serves OpenMetrics to clients preferring it', async (t) => {
+    const {stat} = newStats({
+      counters: true
+    , extraLabels: {app: 'a"b'}
+    , includeMetrics: METRICS
+    })
+    stat.observe(consumerStats())
+    const url = await listen(t, createServer(stat))
+    const {body, headers} = await get(`${url}/metrics`, {
+      accept: `${OPENMETRICS};q=0.9,text/plain;q=0.5,*/*;q=0.1`
+    })
+    t.equal(headers['content-type'], OPENMETRICS_CONTENT_TYPE, 'content type')
+    const text = body.toString()
+    t.match(text, [
+      '# TYPE rdkafka_age gauge'
+    , '# HELP rdkafka_age Time since this client instance was created (microseconds)'
+    , 'rdkafka_age{app="a\\"b",handle="rdkafka#consumer-1",type="consumer"} 9057234'
+    ].join('\n'), 'gauge')
+    t.match(text, '# TYPE rdkafka_tx counter\n', 'counter family without suffix')
+    const total = /\nrdkafka_tx_total\{app="a\\"b",[^}]*\} \d+\n/
+    t.match(text, total, 'counter sample with suffix')
+    t.match(text, /\n# EOF\n$/, 'terminated')
+
+    const {headers: text2} = await get(`${url}/metrics`, {
+      accept: `${OPENMETRICS};q=0.5,text/plain`
+    })
+    t.equal(text2['content-type'], TEXT_CONTENT_TYPE, 'text format preferred')
+  })
+
+  t.test('renders units and special values in OpenMetrics', async (t) => {
+    const registry = new prometheus.Registry()
+    const latency = new prometheus.Histogram({
+      buckets: [1]
+    , help: 'Latency\nin seconds'
+    , name: 'latency_seconds'
+    , registers: [registry]
+    })
+    latency.observe(2)
+    const gauge = new prometheus.Gauge({
+      help: 'Value'
+    , name: 'value'
+    , registers: [registry]
+    })
+    gauge.set(NaN)
+    const lines = openMetricsExposition([registry, registry]).split('\n')
+    t.same(lines.slice(0, 3), [
+      '# TYPE latency_seconds histogram'
+    , '# UNIT latency_seconds seconds'
+    , '# HELP latency_seconds Latency\\nin seconds'
+    ], 'metadata')
+    t.ok(lines.includes('latency_seconds_bucket{le="+Inf"} 1'), 'buckets')
+    t.ok(lines.includes('value NaN'), 'not a number')
+    gauge.set(Infinity)
+    t.match(openMetricsExposition([registry]), '\nvalue +Inf\n', 'positive infinity')
+    gauge.set(-Infinity)
+    t.match(openMetricsExposition([registry]), '\nvalue -Inf\n', 'negative infinity')
+    const types = lines.filter((line) => { return line === '# TYPE value gauge' })
+    t.equal(types.length, 1, 'each metric once')
+  })
+
+  t.test('compresses for clients accepting gzip', async (t) => {
+    const {stat} = newStats({includeMetrics: METRICS})
+    stat.observe(consumerStats())
+    const url = await listen(t, createServer(stat))
+    const {body, headers} = await get(`${url}/metrics`, {'accept-encoding': 'br, gzip'})
+    t.equal(headers['content-encoding'], 'gzip', 'compressed')
+    t.equal(headers.vary, 'Accept-Encoding', 'vary')
+    const metrics = await stat.registers[0].metrics()
+    t.equal(zlib.gunzipSync(body).toString(), metrics, 'body')
+
+    const plain = await listen(t, createServer(stat, {gzip: false}))
+    const {headers: uncompressed} = await get(`${plain}/metrics`, {
+      'accept-encoding': 'gzip'
+    })
+    t.notOk(uncompressed['content-encoding'], 'disabled')
+  })
+
+  t.test('serves the health of the handles', async (t) => {
+    const {stat} = newStats({includeMetrics: METRICS})
+    stat.observe(consumerStats())
+    const server = createServer(stat, {healthPath: '/ready', path: '/prom'})
+    const url = await listen(t, server)
+    const healthy = await get(`${url}/ready`)
+    t.equal(healthy.statusCode, 200, 'healthy')
+    t.equal(healthy.headers['content-type'], 'application/json', 'content type')
+    t.same(JSON.parse(healthy.body), stat.health(), 'health')
+    t.equal((await get(`${url}/prom?x=1`)).statusCode, 200, 'custom metrics path')
+
+    stat.observe(unhealthyStats())
+    const unhealthy = await get(`${url}/ready`)
+    t.equal(unhealthy.statusCode, 503, 'unhealthy')
+    t.equal(JSON.parse(unhealthy.body).healthy, false, 'reported')
+    const notFound = await get(`${url}/metrics`)
+    t.equal(notFound.statusCode, 404, 'unknown path')
+  })
+
+  t.test('rejects malformed request targets', async (t) => {
+    const {stat} = newStats({includeMetrics: METRICS})
+    const url = await listen(t, createServer(stat))
+    const request = 'GET http://[ HTTP/1.1\r\nHost: a\r\nConnection: close\r\n\r\n'
+    t.match(await raw(url, request), /^HTTP\/1\.1 400 Bad Request/, 'bad request')
+    t.equal((await get(`${url}/metrics`)).statusCode, 200, 'still serving')
+  })
+
+  t.test('uses the given health rules', async (t) => {
+    const {stat} = newStats({health: {brokersUp: false}, includeMetrics: METRICS})
+    stat.observe(unhealthyStats())
+    const url = await listen(t, createServer(stat, {rules: {brokersUp: true}}))
+    t.equal((await get(`${url}/health`)).statusCode, 503, 'unhealthy')
+  })
+
+  t.test('translates lazily observed statistics', async (t) => {
+    const {stat} = newStats({includeMetrics: METRICS, lazy: true})
+    stat.observe(consumerStats())
+    const url = await listen(t, createServer(stat))
+    const {body} = await get(`${url}/metrics`, {accept: OPENMETRICS})
+    t.match(body.toString(), /\nrdkafka_age\{handle="rdkafka#consumer-1"/, 'translated')
+  })
+
+  t.test('serves each metric of shared registries once', async (t) => {
+    const registry = new prometheus.Registry()
+    const {stat} = newStats({includeMetrics: METRICS, registers: [registry, registry]})
+    stat.observe(consumerStats())
+    const other = new prometheus.Registry()
+    new prometheus.Gauge({help: 'Up', name: 'up', registers: [other]}).set(1)
+    const url = await listen(t, createServer(stat, {registers: [registry, other]}))
+    const {body} = await get(`${url}/metrics`)
+    const expected = `${await registry.metrics()}\n${await other.metrics()}`
+    t.equal(body.toString(), expected, 'both')
+  })
+
+  t.test('provides handlers for express', async (t) => {
+    const {stat} = newStats({includeMetrics: METRICS})
+    stat.observe(consumerStats())
+    const app = express()
+    app.get('/metrics', metricsHandler(stat))
+    app.get('/health', healthHandler(stat))
+    const url = await listen(t, http.createServer(app))
+    const metrics = await get(`${url}/metrics`, {accept: OPENMETRICS})
+    t.equal(metrics.headers['content-type'], OPENMETRICS_CONTENT_TYPE, 'metrics')
+    t.equal((await get(`${url}/health`)).statusCode, 200, 'health')
+  })
+
+  t.test('provides a plugin for fastify', async (t) => {
+    const {stat} = newStats({includeMetrics: METRICS})
+    stat.observe(consumerStats())
+    const app = fastify()
+    t.teardown(() => { return app.close() })
+    app.register(fastifyPlugin(stat))
+    const metrics = await app.inject({
+      headers: {'accept-encoding': 'gzip'}
+    , url: '/metrics'
+    })
+    t.equal(metrics.statusCode, 200, 'status')
+    t.equal(metrics.headers['content-type'], TEXT_CONTENT_TYPE, 'content type')
+    const expected = await stat.registers[0].metrics()
+    t.equal(zlib.gunzipSync(metrics.rawPayload).toString(), expected, 'metrics')
+
+    stat.observe(unhealthyStats())
+    const health = await app.inject({url: '/health'})
+    t.equal(health.statusCode, 503, 'unhealthy')
+    t.equal(health.json().healthy, false, 'health')
+  })
+})
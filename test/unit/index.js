@@ -3,11 +3,23 @@
 const tap = require('tap')
 const RdkafkaStats = require('../../index.js')
 
+// Counted by the collector, so these are counters with a _total suffix
+const COUNTERS = new Set([
+  'EVENT_DELIVERY_REPORTS'
+, 'EVENT_DISCONNECTS'
+, 'EVENT_ERRORS'
+, 'EVENT_REBALANCES'
+, 'EVENT_THROTTLES'
+, 'EVENT_THROTTLE_TIME'
+, 'COLLECTOR_UNKNOWN_METRICS'
+])
+
 tap.test('metrics', async (t) => {
   t.test('things should be the same name', async (t) => {
     const stat = new RdkafkaStats({})
     for (const metricKey of Object.keys(stat.metrics)) {
-      t.same(stat.metrics[metricKey].name, `rdkafka_${metricKey.toLowerCase()}`)
+      const suffix = COUNTERS.has(metricKey) ? '_total' : ''
+      t.same(stat.metrics[metricKey].name, `rdkafka_${metricKey.toLowerCase()}${suffix}`)
     }
     t.ok(1)
   })
@@ -0,0 +1,92 @@
+'use strict'
+
+const tap = require('tap')
+const prometheus = require('prom-client')
+const RdkafkaStats = require('../../index.js')
+const {consumerStats, producerStats} = require('../common/fixtures/index.js')
+const {newStats, samplesOf} = require('../common/helpers.js')
+
+function brokerState(registry) {
+  return samplesOf(registry, 'rdkafka_broker_state')
+}
+
+tap.test('lazy translation', async (t) => {
+  t.test('translates when the registry collects the metrics', async (t) => {
+    // The collector metrics contain timings, which differ between the two collectors
+    const excludeMetrics = [/^COLLECTOR_/]
+    const {registry, stat} = newStats({excludeMetrics, lazy: true})
+    stat.observe(consumerStats())
+    t.same(brokerState(registry), [], 'not translated when observing')
+
+    const {registry: eagerRegistry, stat: eager} = newStats({excludeMetrics})
+    eager.observe(consumerStats())
+    const expected = eagerRegistry.metrics()
+    t.equal(registry.metrics(), expected, 'same metrics as translating eagerly')
+  })
+
+  t.test('translates only the latest statistics of each handle', async (t) => {
+    const {registry, stat} = newStats({counters: true, lazy: true})
+    const first = consumerStats()
+    const second = consumerStats()
+    second.tx = first.tx + 5
+    stat.observe(first)
+    stat.observe(second)
+    stat.observe(producerStats())
+    t.equal(stat.pendingStats.size, 2, 'one pending statistics per handle')
+
+    const [json] = registry.getMetricsAsJSON().filter(({name}) => {
+      return name === 'rdkafka_tx_total'
+    })
+    const values = json.values.map(({labels, value}) => { return [labels.handle, value] })
+    t.same(values, [
+      ['rdkafka#consumer-1', second.tx]
+    , ['rdkafka#producer-1', producerStats().tx]
+    ], 'latest totals')
+    t.equal(stat.pendingStats.size, 0, 'no pending statistics after collecting')
+  })
+
+  t.test('can be collected manually', async (t) => {
+    const {registry, stat} = newStats({lazy: true})
+    stat.observe(consumerStats())
+    stat.collect()
+    t.equal(brokerState(registry).length, 3, 'translated')
+  })
+
+  t.test('collects once for multiple registries', async (t) => {
+    const registries = [new prometheus.Registry(), new prometheus.Registry()]
+    const stat = new RdkafkaStats({lazy: true, registers: registries})
+    stat.observe(consumerStats())
+    registries[0].metrics()
+    t.equal(stat.pendingStats.size, 0, 'collected by the first registry')
+    const output = registries[1].metrics()
+    t.match(output, 'rdkafka_broker_state{', 'metrics in the second registry')
+  })
+
+  t.test('removes stale series when collecting', async (t) => {
+    const {registry, stat} = newStats({lazy: true})
+    stat.observe(consumerStats())
+    registry.metrics()
+    const stats = consumerStats()
+    delete stats.brokers.GroupCoordinator
+    stat.observe(stats)
+    registry.metrics()
+    t.equal(brokerState(registry).length, 2, 'broker removed')
+  })
+
+  t.test('forgets pending statistics', async (t) => {
+    const {registry, stat} = newStats({lazy: true})
+    stat.observe(consumerStats())
+    stat.forgetHandle('rdkafka#consumer-1')
+    registry.metrics()
+    t.same(brokerState(registry), [], 'nothing translated')
+  })
+
+  t.test('requires windows exported as gauges', async (t) => {
+    for (const windows of ['summary', 'histogram']) {
+      const error = new RegExp(`windows as ${windows} with lazy translation`)
+      t.throws(() => {
+        return newStats({lazy: true, windows})
+      }, error, windows)
+    }
+  })
+})
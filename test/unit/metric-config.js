@@ -0,0 +1,85 @@
+'use strict'
+
+const tap = require('tap')
+const {consumerStats} = require('../common/fixtures/index.js')
+const {newStats, seriesOf} = require('../common/helpers.js')
+
+tap.test('metric configuration', async (t) => {
+  t.test('excludes metrics by key or pattern', async (t) => {
+    const {registry, stat} = newStats({excludeMetrics: ['BROKER_THROTTLE_CNT', /^EOS_/]})
+    stat.observe(consumerStats())
+    t.notOk(stat.metrics.BROKER_THROTTLE_CNT, 'metric excluded by key')
+    t.notOk(stat.metrics.EOS_TXN_STATE, 'metric excluded by pattern')
+    t.notOk(registry.getSingleMetric('rdkafka_broker_throttle_cnt'), 'not registered')
+    t.ok(stat.metrics.BROKER_THROTTLE_MAX, 'other metrics remain')
+    t.same([...stat.warnedUnknownMetrics], [], 'excluded metrics are not unknown')
+  })
+
+  t.test('includes only the given metrics', async (t) => {
+    const {registry, stat} = newStats({
+      includeMetrics: ['BROKER_STATE', /^TOPIC_PARTITION_.*_LAG$/]
+    })
+    stat.observe(consumerStats())
+    const keys = Object.keys(stat.metrics).sort()
+    t.same(keys, ['BROKER_STATE', 'TOPIC_PARTITION_CONSUMER_LAG'], 'included metrics')
+    t.equal(registry.getMetricsAsArray().length, 2, 'registered metrics')
+    t.same([...stat.warnedUnknownMetrics], [], 'not included metrics are not unknown')
+  })
+
+  t.test('overrides names and help', async (t) => {
+    const {registry, stat} = newStats({
+      counters: true
+    , metrics: {
+        BROKER_RTT_AVG: {name: 'kafka_broker_round_trip_avg', help: 'Average RTT'}
+      , BROKER_TX: {name: 'kafka_broker_requests'}
+      }
+    })
+    stat.observe(consumerStats())
+    const rtt = registry.getSingleMetric('kafka_broker_round_trip_avg')
+    t.equal(rtt, stat.metrics.BROKER_RTT_AVG, 'renamed metric')
+    t.equal(rtt.help, 'Average RTT', 'help')
+    t.ok(registry.getSingleMetric('kafka_broker_requests_total'), 'counter suffix')
+    t.notOk(registry.getSingleMetric('rdkafka_broker_rtt_avg'), 'default name not used')
+  })
+
+  t.test('renames and drops labels', async (t) => {
+    const {registry, stat} = newStats({
+      relabel: {handle: 'client', nodeid: false}
+    , stateSets: true
+    })
+    stat.observe(consumerStats())
+    const labelNames = stat.metrics.BROKER_STATE.labelNames
+    t.same(labelNames, ['client', 'type', 'name', 'state'], 'label names')
+    const [series] = seriesOf(stat.metrics.BROKER_STATE)
+    const labels = Object.keys(series.labels).sort()
+    t.same(labels, ['client', 'name', 'state', 'type'], 'labels')
+    t.equal(series.labels.client, 'rdkafka#consumer-1', 'renamed label value')
+    const exposition = registry.metrics()
+    t.match(exposition, /rdkafka_replyq\{client="rdkafka#consumer-1"/, 'exposition')
+
+    stat.forgetHandle('rdkafka#consumer-1')
+    t.same(seriesOf(stat.metrics.BROKER_STATE), [], 'handle forgotten')
+  })
+
+  t.test('relabels counters', async (t) => {
+    const {stat} = newStats({counters: true, relabel: {handle: 'client'}})
+    stat.observe(consumerStats())
+    t.ok(stat.metrics.BROKER_TX.labelNames.includes('client'), 'counter label renamed')
+  })
+
+  t.test('names the grouping labels after relabelling', async (t) => {
+    const {stat} = newStats({extraLabels: {app: 'a', env: 'e'}})
+    t.same(stat.groupingLabels(), {
+      extraLabels: {app: 'a', env: 'e'}
+    , handleLabel: 'handle'
+    }, 'unchanged')
+    const relabelled = newStats({
+      extraLabels: {app: 'a', env: 'e'}
+    , relabel: {app: 'service', env: false, handle: false}
+    })
+    t.same(relabelled.stat.groupingLabels(), {
+      extraLabels: {service: 'a'}
+    , handleLabel: null
+    }, 'relabelled')
+  })
+})
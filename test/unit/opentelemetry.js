@@ -0,0 +1,192 @@
+'use strict'
+
+const tap = require('tap')
+const {
+  AggregationTemporality
+, DataPointType
+, MeterProvider
+, MetricReader
+} = require('@opentelemetry/sdk-metrics')
+const OpenTelemetrySink = require('../../lib/opentelemetry.js')
+const {consumerStats} = require('../common/fixtures/index.js')
+const {fakeProducer, newStats, pointsOf} = require('../common/helpers.js')
+
+const CONSUMER = {handle: 'rdkafka#consumer-1', type: 'consumer'}
+
+// Collects the metrics only when asked to
+class InMemoryMetricReader extends MetricReader {
+  onForceFlush() {
+    return Promise.resolve()
+  }
+
+  onShutdown() {
+    return Promise.resolve()
+  }
+}
+
+function newSink(readerOptions) {
+  const reader = new InMemoryMetricReader(readerOptions)
+  const provider = new MeterProvider({readers: [reader]})
+  const sink = new OpenTelemetrySink({meter: provider.getMeter('test')})
+  return {reader, sink}
+}
+
+async function collect(reader) {
+  const {errors, resourceMetrics} = await reader.collect()
+  if (errors.length) {
+    throw errors[0]
+  }
+  const result = {}
+  for (const {metrics} of resourceMetrics.scopeMetrics) {
+    for (const metric of metrics) {
+      result[metric.descriptor.name] = metric
+    }
+  }
+  return result
+}
+
+function partitionsOf(metric) {
+  return pointsOf(metric).map(({partition}) => { return partition })
+}
+
+tap.test('OpenTelemetry sink', async (t) => {
+  t.test('reports gauges with the prometheus names and labels', async (t) => {
+    const {reader, sink} = newSink()
+    const {stat} = newStats({extraLabels: {app: 'test'}, sink})
+    stat.observe(consumerStats())
+    const metrics = await collect(reader)
+    const age = metrics.rdkafka_age
+    t.equal(age.dataPointType, DataPointType.GAUGE, 'gauge')
+    t.match(age.descriptor, {
+      description: 'Time since this client instance was created (microseconds)'
+    , unit: 'us'
+    }, 'descriptor')
+    t.same(pointsOf(age), [{...CONSUMER, app: 'test', value: 9057234}], 'values')
+    const lag = pointsOf(metrics.rdkafka_topic_partition_consumer_lag)
+    t.same(lag.find(({partition}) => { return partition === 0 }), {
+      ...CONSUMER
+    , app: 'test'
+    , partition: 0
+    , topic: 'test_topic'
+    , value: 10
+    }, 'partition labels')
+  })
+
+  t.test('reports totals as monotonic sums', async (t) => {
+    const {reader, sink} = newSink()
+    const {stat} = newStats({counters: true, sink})
+    const stats = consumerStats()
+    stat.observe(stats)
+    stats.tx += 5
+    stat.observe(stats)
+    const {rdkafka_tx: tx} = await collect(reader)
+    t.equal(tx.dataPointType, DataPointType.SUM, 'sum')
+    t.equal(tx.isMonotonic, true, 'monotonic')
+    t.same(pointsOf(tx), [{...CONSUMER, value: stats.tx}], 'total')
+  })
+
+  t.test('uses the units of the exported values', async (t) => {
+    const {reader, sink} = newSink()
+    const {stat} = newStats({baseUnits: true, sink})
+    stat.observe(consumerStats())
+    const metrics = await collect(reader)
+    t.equal(metrics.rdkafka_age_seconds.descriptor.unit, 's', 'seconds')
+    t.equal(metrics.rdkafka_tx_bytes.descriptor.unit, 'By', 'bytes')
+    t.equal(metrics.rdkafka_tx.descriptor.unit, '', 'no unit')
+  })
+
+  t.test('translates lazily observed statistics when collecting', async (t) => {
+    const {reader, sink} = newSink()
+    const {stat} = newStats({lazy: true, sink})
+    stat.observe(consumerStats())
+    t.same(stat.metrics.AGE.hashMap, {}, 'not translated yet')
+    const {rdkafka_age: age} = await collect(reader)
+    t.same(pointsOf(age), [{...CONSUMER, value: 9057234}], 'translated')
+  })
+
+  t.test('stops reporting removed series', async (t) => {
+    const {reader, sink} = newSink()
+    const {stat} = newStats({sink})
+    stat.observe(consumerStats())
+    stat.forgetHandle(CONSUMER.handle)
+    const metrics = await collect(reader)
+    t.notOk(metrics.rdkafka_age, 'no values')
+  })
+
+  t.test('stops exporting collected series with delta temporality', async (t) => {
+    const {reader, sink} = newSink({
+      aggregationTemporalitySelector: () => { return AggregationTemporality.DELTA }
+    })
+    const {stat} = newStats({sink})
+    const stats = consumerStats()
+    stat.observe(stats)
+    const before = await collect(reader)
+    t.same(pointsOf(before.rdkafka_age), [{...CONSUMER, value: 9057234}], 'collected')
+    const lag = before.rdkafka_topic_partition_consumer_lag
+    t.same(partitionsOf(lag), [0, 1, -1], 'partitions')
+
+    delete stats.topics.test_topic.partitions['1']
+    stat.observe(stats)
+    const removed = await collect(reader)
+    const partitions = partitionsOf(removed.rdkafka_topic_partition_consumer_lag)
+    t.same(partitions, [0, -1], 'stale partition')
+
+    stat.forgetHandle(CONSUMER.handle)
+    const after = await collect(reader)
+    t.notOk(after.rdkafka_age, 'forgotten handle')
+  })
+
+  t.test('keeps exporting collected series with cumulative temporality', async (t) => {
+    const {reader, sink} = newSink()
+    const {stat} = newStats({sink})
+    stat.observe(consumerStats())
+    await collect(reader)
+    stat.forgetHandle(CONSUMER.handle)
+    t.same(stat.metrics.AGE.hashMap, {}, 'no longer observed')
+    const {rdkafka_age: age} = await collect(reader)
+    t.same(pointsOf(age), [{...CONSUMER, value: 9057234}], 'last value kept by the SDK')
+  })
+
+  t.test('records histograms of events', async (t) => {
+    const {reader, sink} = newSink()
+    const {stat} = newStats({
+      metrics: {EVENT_DELIVERY_LATENCY: {buckets: [10, 100]}}
+    , sink
+    })
+    const client = fakeProducer()
+    const detach = stat.attach(client, {events: true})
+    const timestamp = Date.now() - 50
+    client.emit('delivery-report', null, {partition: 0, timestamp, topic: 'test_topic'})
+    client.emit('event.error', {code: -195})
+    client.emit('event.error', {code: -195})
+    detach()
+    const metrics = await collect(reader)
+    const [latency] = metrics.rdkafka_event_delivery_latency.dataPoints
+    t.equal(latency.attributes.topic, 'test_topic', 'attributes')
+    t.same(latency.value.buckets.boundaries, [10, 100], 'buckets')
+    t.equal(latency.value.count, 1, 'recorded')
+    t.notOk(metrics.rdkafka_event_errors, 'errors removed when detaching')
+  })
+
+  t.test('cannot export windows as summaries or histograms', async (t) => {
+    t.throws(() => {
+      return newStats({sink: newSink().sink, windows: 'summary'})
+    }, /Cannot export rdkafka_broker_\w+ as summary with OpenTelemetry/)
+  })
+
+  t.test('stops reporting when unregistering', async (t) => {
+    const {reader, sink} = newSink()
+    const {stat} = newStats({lazy: true, sink})
+    stat.observe(consumerStats())
+    stat.unregister()
+    t.equal(sink.collectors.size, 0, 'no collectors')
+    stat.metrics.AGE.set(CONSUMER, 1)
+    const metrics = await collect(reader)
+    t.notOk(metrics.rdkafka_age, 'no values')
+  })
+
+  t.test('uses the global meter provider by default', async (t) => {
+    const sink = new OpenTelemetrySink()
+    t.ok(sink.meter, 'meter')
+  })
+})
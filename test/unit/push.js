@@ -0,0 +1,237 @@
+'use strict'
+
+const http = require('http')
+const tap = require('tap')
+const prometheus = require('prom-client')
+const Pusher = require('../../lib/push.js')
+const {consumerStats, producerStats} = require('../common/fixtures/index.js')
+const {newStats} = require('../common/helpers.js')
+
+const JOB = 'job@base64/cmRrYWZrYQ'
+const CONSUMER = 'handle@base64/cmRrYWZrYSNjb25zdW1lci0x'
+const PRODUCER = 'handle@base64/cmRrYWZrYSNwcm9kdWNlci0x'
+// A single metric keeps the pushed bodies small
+const METRICS = ['AGE']
+
+// Stand-in for a Pushgateway, answering with the given status codes and then 200
+async function pushgateway(t, statusCodes = []) {
+  const requests = []
+  const server = http.createServer((request, response) => {
+    let body = ''
+    request.on('data', (chunk) => { body += chunk })
+    request.on('end', () => {
+      const {headers, method, url} = request
+      requests.push({body, headers, method, url})
+      response.statusCode = statusCodes.shift() || 200
+      response.end()
+    })
+  })
+  await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve) })
+  t.teardown(() => { server.close() })
+  return {requests, url: `http://127.0.0.1:${server.address().port}/`}
+}
+
+tap.test('push', async (t) => {
+  t.test('pushes each handle as a group', async (t) => {
+    const {requests, url} = await pushgateway(t)
+    const {stat} = newStats({extraLabels: {app: 'batch'}, includeMetrics: METRICS})
+    stat.observe(consumerStats())
+    stat.observe(producerStats())
+    // Series without a handle are not pushed
+    const up = new prometheus.Gauge({help: 'Up', name: 'up', registers: stat.registers})
+    up.set(1)
+    const pusher = new Pusher(stat, {headers: {authorization: 'Bearer token'}, url})
+    await pusher.push()
+    const app = 'app@base64/YmF0Y2g'
+    t.same(requests.map(({method, url: path}) => { return `${method} ${path}` }), [
+      `PUT /metrics/${JOB}/${app}/${CONSUMER}`
+    , `PUT /metrics/${JOB}/${app}/${PRODUCER}`
+    ], 'groups')
+    const [{body, headers}] = requests
+    t.equal(body, [
+      '# HELP rdkafka_age Time since this client instance was created (microseconds)'
+    , '# TYPE rdkafka_age gauge'
+    , 'rdkafka_age{app="batch",handle="rdkafka#consumer-1",type="consumer"} 9057234'
+    , ''
+    ].join('\n'), 'series of the handle')
+    t.equal(headers['content-type'], 'text/plain; version=0.0.4', 'content type')
+    t.equal(headers.authorization, 'Bearer token', 'additional headers')
+  })
+
+  t.test('deletes the groups of forgotten handles', async (t) => {
+    const {requests, url} = await pushgateway(t)
+    const {stat} = newStats({includeMetrics: METRICS})
+    stat.observe(consumerStats())
+    const pusher = new Pusher(stat, {job: 'nightly', url})
+    await pusher.push()
+    stat.forgetHandle('rdkafka#consumer-1')
+    await pusher.push()
+    await pusher.push()
+    t.same(requests.map(({method, url: path}) => { return `${method} ${path}` }), [
+      `PUT /metrics/job@base64/bmlnaHRseQ/${CONSUMER}`
+    , `DELETE /metrics/job@base64/bmlnaHRseQ/${CONSUMER}`
+    ], 'deleted once')
+  })
+
+  t.test('pushes a single group when the handle label is dropped', async (t) => {
+    const {requests, url} = await pushgateway(t)
+    const {stat} = newStats({includeMetrics: METRICS, relabel: {handle: false}})
+    stat.observe(consumerStats())
+    stat.observe(producerStats())
+    await new Pusher(stat, {url}).push()
+    t.equal(requests.length, 1, 'one group')
+    t.equal(requests[0].url, `/metrics/${JOB}`, 'job only')
+    t.match(requests[0].body, /type="consumer"[\s\S]*type="producer"/, 'all series')
+  })
+
+  t.test('encodes empty and relabelled grouping labels', async (t) => {
+    const {requests, url} = await pushgateway(t)
+    const {stat} = newStats({
+      extraLabels: {app: ''}
+    , includeMetrics: METRICS
+    , relabel: {handle: 'client'}
+    })
+    stat.observe(consumerStats())
+    await new Pusher(stat, {url}).push()
+    const client = CONSUMER.replace('handle', 'client')
+    t.equal(requests[0].url, `/metrics/${JOB}/app@base64/=/${client}`, 'path')
+  })
+
+  t.test('translates lazily observed statistics', async (t) => {
+    const {requests, url} = await pushgateway(t)
+    const {stat} = newStats({includeMetrics: METRICS, lazy: true})
+    stat.observe(consumerStats())
+    await new Pusher(stat, {url}).push()
+    t.match(requests[0].body, /rdkafka_age\{/, 'translated')
+  })
+
+  t.test('retries with backoff', async (t) => {
+    const {requests, url} = await pushgateway(t, [503, 429])
+    const {stat} = newStats({includeMetrics: METRICS})
+    stat.observe(consumerStats())
+    const start = Date.now()
+    await new Pusher(stat, {backoff: 20, url}).push()
+    t.equal(requests.length, 3, 'retried')
+    t.ok(Date.now() - start >= 60, 'waited 20ms and 40ms')
+  })
+
+  t.test('gives up after the retries', async (t) => {
+    const {requests, url} = await pushgateway(t, [500, 500, 500])
+    const {stat} = newStats({includeMetrics: METRICS})
+    stat.observe(consumerStats())
+    const pusher = new Pusher(stat, {backoff: 1, retries: 2, url})
+    await t.rejects(pusher.push(), /Pushgateway responded with 500 to PUT/, 'failed')
+    t.equal(requests.length, 3, 'attempts')
+    await pusher.push()
+    t.equal(requests.length, 4, 'next push is not affected')
+  })
+
+  t.test('does not retry client errors', async (t) => {
+    const {requests, url} = await pushgateway(t, [400])
+    const {stat} = newStats({includeMetrics: METRICS})
+    stat.observe(consumerStats())
+    await t.rejects(new Pusher(stat, {url}).push(), /responded with 400/, 'failed')
+    t.equal(requests.length, 1, 'no retries')
+  })
+
+  t.test('retries connection errors and timeouts', async (t) => {
+    const server = http.createServer(() => {})
+    await new Promise((resolve) => { server.listen(0, '127.0.0.1', resolve) })
+    t.teardown(() => { server.close() })
+    const {stat} = newStats({includeMetrics: METRICS})
+    stat.observe(consumerStats())
+    const slow = `http://127.0.0.1:${server.address().port}`
+    const options = {backoff: 1, retries: 1, timeout: 20}
+    await t.rejects(new Pusher(stat, {...options, url: slow}).push(), {
+      message: `Pushgateway did not respond to PUT ${slow}/metrics/${JOB}/${CONSUMER}`
+    }, 'timeout')
+    const closed = 'https://127.0.0.1:1'
+    await t.rejects(new Pusher(stat, {...options, url: closed}).push(), {
+      code: 'ECONNREFUSED'
+    }, 'connection refused')
+  })
+
+  t.test('pushes periodically and when closing', async (t) => {
+    const {requests, url} = await pushgateway(t)
+    const {stat} = newStats({includeMetrics: METRICS})
+    stat.observe(consumerStats())
+    const pusher = new Pusher(stat, {interval: 10, url})
+    t.equal(pusher.start(), pusher, 'started')
+    pusher.start()
+    await new Promise((resolve) => { setTimeout(resolve, 55) })
+    const periodic = requests.length
+    t.ok(periodic >= 2, 'periodic pushes')
+    await pusher.close()
+    const pushed = requests.length
+    t.ok(pushed > periodic, 'final push')
+    await new Promise((resolve) => { setTimeout(resolve, 30) })
+    t.equal(requests.length, pushed, 'stopped')
+  })
+
+  t.test('logs failed periodic pushes', async (t) => {
+    const {stat} = newStats({includeMetrics: METRICS})
+    stat.observe(consumerStats())
+    const options = {interval: 10, retries: 0, url: 'http://127.0.0.1:1'}
+    const pusher = new Pusher(stat, options)
+    pusher.start()
+    await new Promise((resolve) => { setTimeout(resolve, 30) })
+    await t.rejects(pusher.close(), {code: 'ECONNREFUSED'}, 'failed')
+  })
+
+  t.test('pushes when the process is about to exit', async (t) => {
+    const {requests, url} = await pushgateway(t)
+    const {stat} = newStats({includeMetrics: METRICS})
+    stat.observe(consumerStats())
+    const options = {flushOnExit: true, interval: 0, url}
+    const pusher = new Pusher(stat, options).start()
+    t.equal(pusher.timer, null, 'not pushing periodically')
+    t.ok(process.listeners('beforeExit').includes(pusher.onBeforeExit), 'listening')
+    pusher.onBeforeExit()
+    await pusher.pushing
+    t.equal(requests.length, 1, 'pushed')
+    t.notOk(process.listeners('beforeExit').includes(pusher.onBeforeExit), 'removed')
+
+    const failing = new Pusher(stat, {...options, retries: 0, url: 'http://127.0.0.1:1'})
+    failing.onBeforeExit()
+    await t.rejects(failing.pushing, {code: 'ECONNREFUSED'}, 'logged')
+  })
+
+  t.test('pushes a last time on termination signals', async (t) => {
+    const {requests, url} = await pushgateway(t)
+    const {stat} = newStats({includeMetrics: METRICS})
+    stat.observe(consumerStats())
+    const kills = []
+    const {kill} = process
+    process.kill = (pid, signal) => { kills.push(signal) }
+    // Without other listeners, as the test runner listens to signals as well
+    const listeners = process.listeners('SIGTERM')
+    process.removeAllListeners('SIGTERM')
+    t.teardown(() => {
+      process.kill = kill
+      for (const listener of listeners) {
+        process.on('SIGTERM', listener)
+      }
+    })
+    const pusher = new Pusher(stat, {flushOnExit: true, interval: 0, url}).start()
+    t.ok(process.listeners('SIGINT').includes(pusher.onSignal), 'listening to SIGINT')
+    t.ok(process.listeners('SIGTERM').includes(pusher.onSignal), 'listening to SIGTERM')
+    await pusher.onSignal('SIGTERM')
+    t.equal(requests.length, 1, 'pushed')
+    t.notOk(process.listeners('SIGINT').includes(pusher.onSignal), 'removed')
+    t.same(kills, ['SIGTERM'], 'signal raised again')
+
+    const handled = new Pusher(stat, {flushOnExit: true, interval: 0, url}).start()
+    function onSigterm() {}
+    process.on('SIGTERM', onSigterm)
+    t.teardown(() => { process.removeListener('SIGTERM', onSigterm) })
+    await handled.onSignal('SIGTERM')
+    t.equal(requests.length, 2, 'pushed again')
+    t.same(kills, ['SIGTERM'], 'left to the application')
+  })
+
+  t.test('requires the url', async (t) => {
+    t.throws(() => {
+      return new Pusher(newStats({includeMetrics: METRICS}).stat, {})
+    }, /The url of the Pushgateway is required/)
+  })
+})
@@ -0,0 +1,123 @@
+'use strict'
+
+const tap = require('tap')
+const {
+  SCHEMA
+, WINDOW_FIELDS
+, compareVersions
+, compileSchema
+, schemaDrift
+} = require('../../lib/schema.js')
+const {consumerStats, producerStats} = require('../common/fixtures/index.js')
+
+tap.test('schema', async (t) => {
+  t.test('compiles the keys and labels of the fields', async (t) => {
+    const nodes = compileSchema()
+    t.same([...nodes.get('').children.keys()].slice(0, 4), [
+      'name'
+    , 'client_id'
+    , 'type'
+    , 'ts'
+    ], 'fields of the root in the order of the schema')
+    const req = nodes.get('brokers.*.req.*')
+    t.equal(req.key, 'broker_req', 'key of dict values')
+    t.same(req.labelNames, ['name', 'nodeid', 'request'], 'dict label')
+    const partition = nodes.get('brokers.*.toppars.*.partition')
+    t.equal(partition.key, 'broker_toppars_partition', 'prefix of the nearest object')
+    t.equal(partition.level, 'toppars', 'level of the dict')
+    const lag = nodes.get('topics.*.partitions.*.consumer_lag')
+    t.same(lag.labelNames, ['topic', 'partition'], 'labels of the objects')
+    t.same(lag.aggregatedLabelNames, ['topic'], 'labels when aggregated')
+    t.equal(lag.aggregatable, true, 'aggregatable')
+    const reason = nodes.get('cgrp.rebalance_reason')
+    t.same(reason.labelNames, ['group', 'reason'], 'option and value labels')
+    t.same(nodes.get('age').labelNames, [], 'global labels only')
+  })
+
+  t.test('requires the parents before their fields', async (t) => {
+    t.throws(() => {
+      return compileSchema([{path: 'brokers.*.state', type: 'state'}])
+    }, /The parent of brokers.\*.state is not an object or dict in the schema/)
+    t.throws(() => {
+      return compileSchema([
+        {path: 'age', type: 'gauge'}
+      , {path: 'age.value', type: 'gauge'}
+      ])
+    }, /The parent of age.value is not an object or dict/)
+  })
+
+  t.test('compares versions numerically', async (t) => {
+    t.ok(compareVersions('2.10.0', '2.9.1') > 0, 'later')
+    t.ok(compareVersions('1.9', '1.9.2') < 0, 'earlier')
+    t.equal(compareVersions('2.3.0', '2.3'), 0, 'same')
+    t.equal(compareVersions('2.3.0-RC1', '2.3.0'), 0, 'suffixes ignored')
+  })
+
+  t.test('reports no drift for the statistics of the current librdkafka', async (t) => {
+    const drift = schemaDrift([consumerStats(), producerStats()], {version: '2.3.0'})
+    t.same(drift, {missing: [], unknown: []}, 'no drift')
+  })
+
+  t.test('reports unknown fields once', async (t) => {
+    const stats = consumerStats()
+    stats.future = {nested: 1}
+    stats.brokers['localhost:9092/1'].rtt.p99_9 = 1
+    stats.topics.test_topic.future_field = 1
+    t.same(schemaDrift([stats]).unknown, [
+      'brokers.*.rtt.p99_9'
+    , 'future'
+    , 'topics.*.future_field'
+    ], 'unknown paths')
+  })
+
+  t.test('reports missing fields of observed objects', async (t) => {
+    const stats = producerStats()
+    delete stats.tx
+    delete stats.eos.txn_state
+    for (const broker of Object.values(stats.brokers)) {
+      delete broker.rtt.cnt
+    }
+    stats.topics = {}
+    t.same(schemaDrift([stats]).missing, [
+      'brokers.*.rtt.cnt'
+    , 'eos.txn_state'
+    , 'tx'
+    ], 'missing paths, without the fields of empty dicts and optional objects')
+  })
+
+  t.test('only expects the fields of the given version', async (t) => {
+    const old = consumerStats()
+    for (const partition of Object.values(old.topics.test_topic.partitions)) {
+      delete partition.leader_epoch
+      delete partition.stored_leader_epoch
+      delete partition.committed_leader_epoch
+    }
+    const before = schemaDrift([old], {version: '2.0.2'})
+    t.same(before, {missing: [], unknown: []}, 'before 2.1.0')
+    t.same(schemaDrift([old], {version: '2.1.0'}).missing, [
+      'topics.*.partitions.*.committed_leader_epoch'
+    , 'topics.*.partitions.*.leader_epoch'
+    , 'topics.*.partitions.*.stored_leader_epoch'
+    ], 'since 2.1.0')
+    t.same(schemaDrift([consumerStats()], {version: '1.9.2'}).unknown, [
+      'topics.*.partitions.*.committed_leader_epoch'
+    , 'topics.*.partitions.*.leader_epoch'
+    , 'topics.*.partitions.*.stored_leader_epoch'
+    ], 'unknown before 2.1.0')
+
+    const schema = [...SCHEMA, {path: 'simple_cnt', type: 'ignored', until: '3.0.0'}]
+      .filter(({path, type}) => { return path !== 'simple_cnt' || type === 'ignored' })
+    const next = consumerStats()
+    const removed = {schema, version: '3.0.0'}
+    t.same(schemaDrift([next], removed).unknown, ['simple_cnt'], 'until')
+    delete next.simple_cnt
+    t.same(schemaDrift([next], removed).missing, [], 'removed')
+    const previous = {schema, version: '2.3.0'}
+    t.same(schemaDrift([next], previous).missing, ['simple_cnt'], 'before')
+  })
+
+  t.test('knows the fields of windows', async (t) => {
+    const {rtt} = consumerStats().brokers['localhost:9092/1']
+    t.same(Object.keys(rtt).sort(), [...WINDOW_FIELDS].sort(), 'window fields')
+  })
+})
@@ -0,0 +1,136 @@
+'use strict'
+
+const tap = require('tap')
+const prometheus = require('prom-client')
+const RdkafkaStats = require('../../index.js')
+const {consumerStats, producerStats} = require('../common/fixtures/index.js')
+const {fakeConsumer, labelValuesOf} = require('../common/helpers.js')
+
+function handlesOf(metric) {
+  return labelValuesOf(metric, 'handle')
+}
+
+tap.test('shared registry', async (t) => {
+  t.test('reuses the metrics of another collector', async (t) => {
+    const registry = new prometheus.Registry()
+    const first = new RdkafkaStats({registers: [registry]})
+    const second = new RdkafkaStats({registers: [registry]})
+    t.equal(second.metrics.AGE, first.metrics.AGE, 'same metric')
+    t.equal(registry.getSingleMetric('rdkafka_age'), first.metrics.AGE, 'registered')
+
+    first.observe(consumerStats())
+    second.observe(producerStats())
+    t.same(handlesOf(first.metrics.AGE), [
+      'rdkafka#consumer-1'
+    , 'rdkafka#producer-1'
+    ], 'series of both collectors')
+  })
+
+  t.test('reuses summaries and histograms of windows', async (t) => {
+    const registry = new prometheus.Registry()
+    const options = {registers: [registry], windows: 'summary'}
+    const first = new RdkafkaStats(options)
+    const second = new RdkafkaStats(options)
+    t.equal(second.metrics.BROKER_RTT, first.metrics.BROKER_RTT, 'same summary')
+    t.throws(() => {
+      return new RdkafkaStats({...options, windows: 'histogram'})
+    }, /is already registered with a different type/, 'not a histogram')
+  })
+
+  t.test('registers reused metrics with the other registries', async (t) => {
+    const shared = new prometheus.Registry()
+    const own = new prometheus.Registry()
+    const first = new RdkafkaStats({registers: [shared]})
+    const second = new RdkafkaStats({registers: [own, shared]})
+    t.equal(own.getSingleMetric('rdkafka_age'), first.metrics.AGE, 'registered')
+    second.unregister()
+    t.notOk(own.getSingleMetric('rdkafka_age'), 'unregistered from the own registry')
+    t.ok(shared.getSingleMetric('rdkafka_age'), 'still used by the first collector')
+  })
+
+  t.test('refuses incompatible metrics', async (t) => {
+    const registry = new prometheus.Registry()
+    // eslint-disable-next-line no-new
+    new prometheus.Gauge({help: 'Age', name: 'rdkafka_age', registers: [registry]})
+    t.throws(() => {
+      return new RdkafkaStats({registers: [registry]})
+    }, /rdkafka_age is already registered with a different type or label names/)
+
+    const other = new prometheus.Registry()
+    // eslint-disable-next-line no-new
+    new prometheus.Counter({
+      help: 'Age'
+    , labelNames: ['handle', 'type']
+    , name: 'rdkafka_age'
+    , registers: [other]
+    })
+    t.throws(() => {
+      return new RdkafkaStats({registers: [other]})
+    }, /rdkafka_age is already registered/, 'different type')
+  })
+
+  t.test('keeps metrics registered by the application', async (t) => {
+    const registry = new prometheus.Registry()
+    const age = new prometheus.Gauge({
+      help: 'Age'
+    , labelNames: ['type', 'handle']
+    , name: 'rdkafka_age'
+    , registers: [registry]
+    })
+    const stat = new RdkafkaStats({registers: [registry]})
+    t.equal(stat.metrics.AGE, age, 'reused')
+    stat.observe(consumerStats())
+    stat.unregister()
+    t.equal(registry.getSingleMetric('rdkafka_age'), age, 'still registered')
+    t.same(handlesOf(age), [], 'series removed')
+  })
+
+  t.test('unregisters the last collector using a metric', async (t) => {
+    const registry = new prometheus.Registry()
+    const first = new RdkafkaStats({registers: [registry]})
+    const second = new RdkafkaStats({registers: [registry]})
+    first.observe(consumerStats())
+    second.observe(producerStats())
+
+    first.unregister()
+    t.ok(registry.getSingleMetric('rdkafka_age'), 'still used')
+    t.same(handlesOf(second.metrics.AGE), ['rdkafka#producer-1'], 'series removed')
+    second.unregister()
+    t.same(registry.getMetricsAsArray(), [], 'no metrics left')
+    t.doesNotThrow(() => {
+      return new RdkafkaStats({registers: [registry]})
+    }, 'can be created again')
+  })
+
+  t.test('can share the default registry', async (t) => {
+    const first = new RdkafkaStats()
+    const second = new RdkafkaStats()
+    first.close()
+    second.close()
+    t.notOk(prometheus.register.getSingleMetric('rdkafka_age'), 'unregistered')
+  })
+
+  t.test('closing detaches clients and the lazy collector', async (t) => {
+    const registry = new prometheus.Registry()
+    const stat = new RdkafkaStats({lazy: true, registers: [registry]})
+    const client = fakeConsumer()
+    const detached = fakeConsumer()
+    stat.attach(client, {events: true})
+    stat.attach(detached)()
+    client.emit('event.stats', {message: JSON.stringify(consumerStats())})
+    stat.close()
+    t.equal(client.listenerCount('event.stats'), 0, 'no stats listener')
+    t.equal(client.listenerCount('event.error'), 0, 'no event listeners')
+    t.same(registry.collectors(), [], 'no collectors')
+    t.same(stat.pendingStats.size, 0, 'no pending statistics')
+    t.same(registry.getMetricsAsArray(), [], 'no metrics')
+  })
+
+  t.test('closing tolerates cleared registries', async (t) => {
+    const registry = new prometheus.Registry()
+    const stat = new RdkafkaStats({lazy: true, registers: [registry]})
+    registry.clear()
+    stat.close()
+    t.same(registry.collectors(), [], 'no collectors')
+  })
+})
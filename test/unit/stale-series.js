@@ -0,0 +1,92 @@
+'use strict'
+
+const tap = require('tap')
+const {consumerStats, producerStats} = require('../common/fixtures/index.js')
+const {labelValuesOf, newStats, seriesOf} = require('../common/helpers.js')
+
+function lagSeries(stat) {
+  return seriesOf(stat.metrics.TOPIC_PARTITION_CONSUMER_LAG)
+}
+
+tap.test('stale series', async (t) => {
+  t.test('removes partitions that are no longer reported', async (t) => {
+    const {stat} = newStats()
+    const stats = consumerStats()
+    stat.observe(stats)
+    const lag = stat.metrics.TOPIC_PARTITION_CONSUMER_LAG
+    t.same(labelValuesOf(lag, 'partition'), [-1, 0, 1], 'all partitions exported')
+
+    delete stats.topics.test_topic.partitions['1']
+    stat.observe(stats)
+    t.same(labelValuesOf(lag, 'partition'), [-1, 0], 'revoked partition removed')
+  })
+
+  t.test('removes brokers that are no longer reported', async (t) => {
+    const {stat} = newStats()
+    const stats = consumerStats()
+    stat.observe(stats)
+    t.equal(seriesOf(stat.metrics.BROKER_STATE).length, 3, 'all brokers exported')
+
+    delete stats.brokers['localhost:9092/1']
+    stat.observe(stats)
+    t.same(
+      labelValuesOf(stat.metrics.BROKER_STATE, 'name')
+    , ['GroupCoordinator', 'localhost:9092/bootstrap']
+    , 'decommissioned broker removed'
+    )
+    t.same(seriesOf(stat.metrics.BROKER_TOPPARS_PARTITION), [], 'broker toppars removed')
+  })
+
+  t.test('keeps missing series during the grace period', async (t) => {
+    const {stat} = newStats({staleGracePeriod: 2})
+    const stats = consumerStats()
+    stat.observe(stats)
+    delete stats.topics
+    stat.observe(stats)
+    stat.observe(stats)
+    t.equal(lagSeries(stat).length, 3, 'series kept while within the grace period')
+    stat.observe(stats)
+    t.equal(lagSeries(stat).length, 0, 'series removed after the grace period')
+  })
+
+  t.test('series reappearing reset the grace period', async (t) => {
+    const {stat} = newStats({staleGracePeriod: 1})
+    const stats = consumerStats()
+    const {topics} = stats
+    stat.observe(stats)
+    delete stats.topics
+    stat.observe(stats)
+    stat.observe({...stats, topics})
+    stat.observe(stats)
+    t.equal(lagSeries(stat).length, 3, 'series kept after reappearing')
+  })
+
+  t.test('only affects series of the observed handle', async (t) => {
+    const {stat} = newStats()
+    stat.observe(consumerStats())
+    stat.observe(producerStats())
+    t.same(
+      labelValuesOf(stat.metrics.REPLYQ, 'handle')
+    , ['rdkafka#consumer-1', 'rdkafka#producer-1']
+    , 'both handles exported'
+    )
+  })
+
+  t.test('forgetHandle() removes all series of a handle', async (t) => {
+    const {stat} = newStats()
+    stat.observe(consumerStats())
+    stat.observe(producerStats())
+    stat.forgetHandle('rdkafka#consumer-1')
+    for (const metric of Object.values(stat.metrics)) {
+      t.notOk(
+        labelValuesOf(metric, 'handle').includes('rdkafka#consumer-1')
+      , `${metric.name} has no consumer series`
+      )
+    }
+    const producers = labelValuesOf(stat.metrics.REPLYQ, 'handle')
+    t.same(producers, ['rdkafka#producer-1'], 'producer kept')
+    t.doesNotThrow(() => {
+      stat.forgetHandle('rdkafka#consumer-1')
+    }, 'forgetting an unknown handle is a no-op')
+  })
+})
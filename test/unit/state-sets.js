@@ -0,0 +1,74 @@
+'use strict'
+
+const tap = require('tap')
+const {consumerStats, producerStats} = require('../common/fixtures/index.js')
+const {newStats, seriesOf, valueOf} = require('../common/helpers.js')
+
+const BROKER = 'localhost:9092/1'
+
+// Values of the state label of the series with the given label values
+function states(metric, labels) {
+  const result = {}
+  for (const series of seriesOf(metric, labels)) {
+    result[series.labels.state] = series.value
+  }
+  return result
+}
+
+tap.test('state sets', async (t) => {
+  t.test('states are numeric by default', async (t) => {
+    const {stat} = newStats()
+    stat.observe(consumerStats())
+    t.notOk(stat.metrics.BROKER_STATE.labelNames.includes('state'), 'no state label')
+    t.match(stat.metrics.BROKER_STATE.help, /4 = UP/, 'help describes the values')
+  })
+
+  t.test('new librdkafka states keep the existing values', async (t) => {
+    const {stat} = newStats()
+    const stats = consumerStats()
+    stats.brokers[BROKER].state = 'REAUTH'
+    stat.observe(stats)
+    t.equal(valueOf(stat.metrics.BROKER_STATE, {name: BROKER}), 12, 'appended state')
+  })
+
+  t.test('exports one series per state', async (t) => {
+    const {stat} = newStats({stateSets: true})
+    stat.observe(consumerStats())
+    const broker = states(stat.metrics.BROKER_STATE, {name: BROKER})
+    t.equal(broker.UP, 1, 'current state')
+    t.equal(broker.DOWN, 0, 'other state')
+    t.equal(Object.keys(broker).length, 13, 'all broker states')
+
+    const fetch = states(stat.metrics.TOPIC_PARTITION_FETCH_STATE, {partition: 0})
+    const active = Object.keys(fetch).filter((state) => { return fetch[state] })
+    t.same(active, ['active'], 'fetch state')
+    t.equal(states(stat.metrics.BROKER_SOURCE, {name: BROKER}).learned, 1, 'source')
+    t.equal(states(stat.metrics.CGRP_STATE, {}).up, 1, 'cgrp state')
+    t.equal(states(stat.metrics.CGRP_JOIN_STATE, {}).steady, 1, 'cgrp join state')
+  })
+
+  t.test('exports producer states as state sets', async (t) => {
+    const {stat} = newStats({stateSets: true})
+    const stats = producerStats()
+    stats.eos.txn_state = 'AbortableError'
+    stat.observe(stats)
+    t.equal(states(stat.metrics.EOS_IDEMP_STATE, {}).Assigned, 1, 'idempotence state')
+    t.equal(states(stat.metrics.EOS_TXN_STATE, {}).AbortableError, 1, 'transaction state')
+    t.equal(states(stat.metrics.EOS_TXN_STATE, {}).Ready, 0, 'previous state')
+  })
+
+  t.test('unknown states get their own series', async (t) => {
+    const {stat} = newStats({stateSets: true})
+    const stats = consumerStats()
+    stats.brokers[BROKER].state = 'SOME_FUTURE_STATE'
+    stat.observe(stats)
+    const broker = states(stat.metrics.BROKER_STATE, {name: BROKER})
+    t.equal(broker.SOME_FUTURE_STATE, 1, 'unknown state')
+    t.equal(broker.UP, 0, 'known state')
+
+    stats.brokers[BROKER].state = 'UP'
+    stat.observe(stats)
+    const next = states(stat.metrics.BROKER_STATE, {name: BROKER})
+    t.notOk('SOME_FUTURE_STATE' in next, 'unknown state removed once left')
+  })
+})
@@ -0,0 +1,180 @@
+'use strict'
+
+const tap = require('tap')
+const {SCHEMA} = require('../../lib/schema.js')
+const {consumerStats, producerStats} = require('../common/fixtures/index.js')
+const {newStats, seriesOf} = require('../common/helpers.js')
+
+const BROKER = 'localhost:9092/1'
+
+tap.test('statistics schema', async (t) => {
+  t.test('maps all consumer statistics', async (t) => {
+    const {stat} = newStats()
+    stat.observe(consumerStats())
+    t.same([...stat.warnedUnknownMetrics], [], 'no unknown metrics')
+    for (const key of ['AGE', 'TX_BYTES', 'RXMSGS', 'BROKER_CONNECTS', 'BROKER_RXIDLE'
+    , 'TOPIC_AGE', 'TOPIC_PARTITION_LS_OFFSET', 'TOPIC_PARTITION_CONSUMER_LAG_STORED']) {
+      t.ok(seriesOf(stat.metrics[key]).length, `${key} exported`)
+    }
+  })
+
+  t.test('remembers unknown statistics', async (t) => {
+    const {stat} = newStats()
+    stat.observe({...consumerStats(), future_field: 1})
+    stat.observe({...consumerStats(), future_field: 1})
+    t.same([...stat.warnedUnknownMetrics], ['future_field'], 'unknown field')
+    const unknown = stat.unknownMetrics.get('rdkafka#consumer-1')
+    t.same([...unknown], [['future_field', 2]], 'counted')
+  })
+
+  t.test('remembers unknown window statistics', async (t) => {
+    const {stat} = newStats()
+    const stats = consumerStats()
+    stats.brokers[BROKER].rtt.p99_9 = 251903
+    stat.observe(stats)
+    t.same([...stat.warnedUnknownMetrics], ['broker_rtt_p99_9'], 'unknown window field')
+  })
+
+  t.test('translates with a custom schema', async (t) => {
+    const {stat} = newStats({
+      schema: [
+        ...SCHEMA
+      , {path: 'future_field', type: 'gauge', help: 'A field of a future librdkafka'}
+      , {path: 'brokers.*.future_state', type: 'ignored'}
+      ]
+    })
+    const stats = consumerStats()
+    stats.future_field = 3
+    stats.brokers[BROKER].future_state = 'UP'
+    stat.observe(stats)
+    t.same([...stat.warnedUnknownMetrics], [], 'no unknown metrics')
+    t.equal(seriesOf(stat.metrics.FUTURE_FIELD)[0].value, 3, 'exported')
+  })
+
+  t.test('reports the drift of the statistics from the schema', async (t) => {
+    const {stat} = newStats()
+    stat.observe(producerStats())
+    stat.observe(consumerStats())
+    t.same(stat.schemaDrift(), {missing: [], unknown: []}, 'no drift')
+
+    const stats = consumerStats()
+    stats.future_field = 1
+    for (const partition of Object.values(stats.topics.test_topic.partitions)) {
+      delete partition.leader_epoch
+    }
+    stat.observe(stats)
+    stat.forgetHandle('rdkafka#producer-1')
+    t.same(stat.schemaDrift(), {
+      missing: ['topics.*.partitions.*.leader_epoch']
+    , unknown: ['future_field']
+    }, 'drift of the current statistics')
+    t.same(stat.schemaDrift({version: '2.0.2'}).missing, [], 'not expected before 2.1.0')
+  })
+
+  t.test('exports request counts labelled by request type', async (t) => {
+    const {stat} = newStats()
+    stat.observe(consumerStats())
+    const req = stat.metrics.BROKER_REQ
+    const [fetch] = seriesOf(req, {name: BROKER, request: 'Fetch'})
+    t.equal(fetch.value, 300, 'Fetch requests')
+    t.equal(seriesOf(req, {name: BROKER}).length, 11, 'all request types')
+  })
+
+  t.test('exports window percentiles labelled by quantile', async (t) => {
+    const {stat} = newStats()
+    stat.observe(consumerStats())
+    const rtt = seriesOf(stat.metrics.BROKER_RTT, {name: BROKER})
+    t.same(
+      rtt.map(({labels, value}) => { return [labels.quantile, value] })
+    , [
+        ['0.5', 1927]
+      , ['0.75', 2479]
+      , ['0.9', 4095]
+      , ['0.95', 10239]
+      , ['0.99', 251903]
+      , ['0.9999', 251903]
+      ]
+    , 'percentiles'
+    )
+    const [stddev] = seriesOf(stat.metrics.BROKER_RTT_STDDEV, {name: BROKER})
+    t.equal(stddev.value, 1358, 'stddev')
+    const [outbuf] = seriesOf(stat.metrics.BROKER_OUTBUF_LATENCY_CNT, {name: BROKER})
+    t.equal(outbuf.value, 320, 'outbuf latency')
+  })
+
+  t.test('maps the broker source', async (t) => {
+    const {stat} = newStats()
+    stat.observe(consumerStats())
+    const sources = seriesOf(stat.metrics.BROKER_SOURCE).map(({labels, value}) => {
+      return [labels.name, value]
+    })
+    t.same(sources, [
+      ['localhost:9092/bootstrap', 1]
+    , [BROKER, 0]
+    , ['GroupCoordinator', 3]
+    ], 'sources')
+  })
+
+  t.test('exports topic batch window statistics', async (t) => {
+    const {stat} = newStats()
+    stat.observe(producerStats())
+    const topic = {topic: 'test_topic'}
+    const [batchsize] = seriesOf(stat.metrics.TOPIC_BATCHSIZE_AVG, topic)
+    t.equal(batchsize.value, 1040, 'average batch size')
+    const [batchcnt] = seriesOf(stat.metrics.TOPIC_BATCHCNT_MAX, topic)
+    t.equal(batchcnt.value, 120, 'largest batch message count')
+    const p99 = seriesOf(stat.metrics.TOPIC_BATCHSIZE, {...topic, quantile: '0.99'})
+    t.equal(p99[0].value, 8191, 'batch size percentile')
+    t.notOk(stat.warnedUnknownMetrics.has('topic_batchsize'), 'batchsize is known')
+  })
+
+  t.test('exports idempotent and transactional producer states', async (t) => {
+    const {stat} = newStats()
+    const stats = producerStats()
+    stat.observe(stats)
+    t.same([...stat.warnedUnknownMetrics], [], 'no unknown producer metrics')
+    t.equal(seriesOf(stat.metrics.EOS_IDEMP_STATE)[0].value, 6, 'Assigned')
+    t.equal(seriesOf(stat.metrics.EOS_TXN_STATE)[0].value, 3, 'Ready')
+    t.equal(seriesOf(stat.metrics.EOS_TXN_MAY_ENQ)[0].value, 0, 'may not enqueue')
+    t.equal(seriesOf(stat.metrics.EOS_PRODUCER_ID)[0].value, 1001, 'producer id')
+
+    stats.eos.idemp_state = 'FatalError'
+    stats.eos.txn_state = 'AbortableError'
+    stats.eos.txn_may_enq = true
+    stat.observe(stats)
+    t.equal(seriesOf(stat.metrics.EOS_IDEMP_STATE)[0].value, 2, 'FatalError')
+    t.equal(seriesOf(stat.metrics.EOS_TXN_STATE)[0].value, 11, 'AbortableError')
+    t.equal(seriesOf(stat.metrics.EOS_TXN_MAY_ENQ)[0].value, 1, 'may enqueue')
+  })
+
+  t.test('exports consumer group states and rebalance reason', async (t) => {
+    const {stat} = newStats()
+    const stats = consumerStats()
+    stat.observe(stats, {group: 'group'})
+    const cgrp = {group: 'group'}
+    t.equal(seriesOf(stat.metrics.CGRP_STATE, cgrp)[0].value, 6, 'up')
+    t.equal(seriesOf(stat.metrics.CGRP_JOIN_STATE, cgrp)[0].value, 8, 'steady')
+    t.equal(seriesOf(stat.metrics.CGRP_STATEAGE, cgrp)[0].value, 8987, 'state age')
+    const reasons = seriesOf(stat.metrics.CGRP_REBALANCE_REASON, cgrp)
+    t.same(
+      reasons.map(({labels, value}) => { return [labels.reason, value] })
+    , [['group is rebalancing', 1]]
+    , 'rebalance reason'
+    )
+
+    stats.cgrp.rebalance_reason = 'assignment lost'
+    stat.observe(stats, {group: 'group'})
+    const next = seriesOf(stat.metrics.CGRP_REBALANCE_REASON, cgrp)
+    t.same(
+      next.map(({labels}) => { return labels.reason })
+    , ['assignment lost']
+    , 'previous reason removed'
+    )
+  })
+
+  t.test('consumer group label is empty when the group is not known', async (t) => {
+    const {stat} = newStats()
+    stat.observe(consumerStats())
+    t.equal(seriesOf(stat.metrics.CGRP_STATE)[0].labels.group, '', 'empty group')
+  })
+})
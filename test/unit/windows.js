@@ -0,0 +1,120 @@
+'use strict'
+
+const tap = require('tap')
+const {consumerStats, producerStats} = require('../common/fixtures/index.js')
+const {newStats, samplesOf} = require('../common/helpers.js')
+
+// Values of the samples with the suffix, such as `_sum` or `_bucket`, and the label values
+function sampleValues(registry, name, suffix, labels) {
+  return samplesOf(registry, name).filter((value) => {
+    const matchesLabels = Object.keys(labels).every((label) => {
+      return value.labels[label] === labels[label]
+    })
+    return matchesLabels && (value.metricName || name) === `${name}${suffix}`
+  }).map(({value}) => { return value })
+}
+
+const BROKER = {handle: 'rdkafka#consumer-1', name: 'localhost:9092/1'}
+
+tap.test('windows', async (t) => {
+  t.test('exports window fields as gauges by default', async (t) => {
+    const {registry} = newStats()
+    t.equal(registry.getSingleMetric('rdkafka_broker_rtt').get().type, 'gauge', 'type')
+    t.ok(registry.getSingleMetric('rdkafka_broker_rtt_avg'), 'field gauge')
+  })
+
+  t.test('exports windows as summaries', async (t) => {
+    const {registry, stat} = newStats({windows: 'summary'})
+    stat.observe(consumerStats())
+    t.notOk(registry.getSingleMetric('rdkafka_broker_rtt_avg'), 'no field gauges')
+    t.notOk(stat.metrics.BROKER_RTT_AVG, 'no field metrics')
+    t.same([...stat.warnedUnknownMetrics], [], 'window fields are not unknown')
+
+    const output = registry.metrics()
+    t.match(output, '# TYPE rdkafka_broker_rtt summary', 'type')
+    t.match(output, /rdkafka_broker_rtt\{[^}]*quantile="0.99"\} 251903\n/, 'quantile')
+    t.same(sampleValues(registry, 'rdkafka_broker_rtt', '_sum', BROKER), [1738224], 'sum')
+    t.same(sampleValues(registry, 'rdkafka_broker_rtt', '_count', BROKER), [320], 'count')
+
+    stat.observe(consumerStats())
+    const sum = sampleValues(registry, 'rdkafka_broker_rtt', '_sum', BROKER)
+    t.same(sum, [3476448], 'accumulated sum')
+    const count = sampleValues(registry, 'rdkafka_broker_rtt', '_count', BROKER)
+    t.same(count, [640], 'accumulated count')
+  })
+
+  t.test('exports windows as histograms', async (t) => {
+    const {registry, stat} = newStats({windows: 'histogram'})
+    stat.observe(consumerStats())
+    stat.observe(producerStats())
+    const {type} = registry.getSingleMetric('rdkafka_broker_rtt').get()
+    t.equal(type, 'histogram', 'type')
+    t.ok(registry.getSingleMetric('rdkafka_topic_batchcnt'), 'window without unit')
+
+    function bucket(le) {
+      return sampleValues(registry, 'rdkafka_broker_rtt', '_bucket', {...BROKER, le})[0]
+    }
+    t.equal(bucket(1000), 0, 'below the minimum')
+    t.equal(bucket(2500), 241, 'interpolated between percentiles')
+    t.equal(bucket(250000), 317, 'percentiles above the maximum are clamped')
+    t.equal(bucket(2500000), 320, 'above the maximum')
+    t.equal(bucket('+Inf'), 320, 'all samples')
+    t.same(sampleValues(registry, 'rdkafka_broker_rtt', '_count', BROKER), [320], 'count')
+
+    const bootstrap = {...BROKER, le: '+Inf', name: 'localhost:9092/bootstrap'}
+    const empty = sampleValues(registry, 'rdkafka_broker_rtt', '_bucket', bootstrap)
+    t.same(empty, [0], 'empty window')
+  })
+
+  t.test('uses configured buckets in the exported unit', async (t) => {
+    const {registry, stat} = newStats({
+      baseUnits: true
+    , metrics: {BROKER_RTT: {buckets: [0.002, 0.01]}}
+    , windows: 'histogram'
+    })
+    stat.observe(consumerStats())
+    const name = 'rdkafka_broker_rtt_seconds'
+    const buckets = sampleValues(registry, name, '_bucket', BROKER)
+    t.same(buckets, [171, 303, 320], 'buckets')
+    const sum = sampleValues(registry, name, '_sum', BROKER)
+    t.same(sum, [1.738224], 'sum in seconds')
+    const {buckets: defaultBuckets} = stat.metrics.BROKER_THROTTLE
+    t.same(defaultBuckets.slice(0, 2), [0.001, 0.005], 'default buckets')
+  })
+
+  t.test('skips missing percentiles', async (t) => {
+    const {registry, stat} = newStats({windows: 'summary'})
+    const stats = consumerStats()
+    delete stats.brokers['localhost:9092/1'].rtt.p99_99
+    stat.observe(stats)
+    const quantiles = sampleValues(registry, 'rdkafka_broker_rtt', '', BROKER)
+    t.equal(quantiles.length, 5, 'quantiles')
+  })
+
+  t.test('removes and resets series', async (t) => {
+    const {registry, stat} = newStats({windows: 'histogram'})
+    stat.observe(consumerStats())
+    stat.forgetHandle('rdkafka#consumer-1')
+    t.same(registry.getSingleMetric('rdkafka_broker_rtt').get().values, [], 'forgotten')
+
+    stat.observe(consumerStats())
+    registry.resetMetrics()
+    t.same(registry.getSingleMetric('rdkafka_broker_rtt').get().values, [], 'reset')
+  })
+
+  t.test('ignores excluded windows', async (t) => {
+    const {registry, stat} = newStats({
+      excludeMetrics: ['BROKER_RTT']
+    , windows: 'summary'
+    })
+    stat.observe(consumerStats())
+    t.notOk(registry.getSingleMetric('rdkafka_broker_rtt'), 'not registered')
+    t.same([...stat.warnedUnknownMetrics], [], 'not unknown')
+  })
+
+  t.test('requires a known way of exporting windows', async (t) => {
+    t.throws(() => {
+      return newStats({windows: 'summaries'})
+    }, /Cannot export windows as summaries, use one of gauges, summary, histogram/)
+  })
+})
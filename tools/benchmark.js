@@ -0,0 +1,62 @@
+'use strict'
+
+// Compare the cost of translating statistics eagerly in observe() with translating them lazily when scraping.
+//
+// Usage: node tools/benchmark.js [partitions=1000] [observations per scrape=15] [scrapes=20]
+//
+// The defaults correspond to a consumer with 1000 partitions, a statistics interval of 1s and a scrape interval of 15s.
+
+const prometheus = require('prom-client')
+const RdkafkaStats = require('../index.js')
+const {consumerStats} = require('../test/common/fixtures/index.js')
+
+const [
+  partitions = 1000
+, observationsPerScrape = 15
+, scrapes = 20
+] = process.argv.slice(2).map(Number)
+
+function makeStats(partitionCount) {
+  const stats = consumerStats()
+  const topic = stats.topics.test_topic
+  const broker = stats.brokers['localhost:9092/1']
+  const template = topic.partitions['0']
+  for (let partition = 0; partition < partitionCount; partition++) {
+    topic.partitions[partition] = {...template, partition}
+    broker.toppars[`test_topic-${partition}`] = {partition, topic: 'test_topic'}
+  }
+  return stats
+}
+
+function run(lazy, stats) {
+  const registry = new prometheus.Registry()
+  const collector = new RdkafkaStats({lazy, registers: [registry]})
+  let observeTime = 0n
+  let scrapeTime = 0n
+  for (let scrape = 0; scrape < scrapes; scrape++) {
+    for (let observation = 0; observation < observationsPerScrape; observation++) {
+      const start = process.hrtime.bigint()
+      collector.observe(stats)
+      observeTime += process.hrtime.bigint() - start
+    }
+    const start = process.hrtime.bigint()
+    registry.metrics()
+    scrapeTime += process.hrtime.bigint() - start
+  }
+  return {observeTime, scrapeTime}
+}
+
+function ms(nanoseconds) {
+  return (Number(nanoseconds) / 1e6).toFixed(1).padStart(10)
+}
+
+const stats = makeStats(partitions)
+console.log(`${partitions} partitions, ${observationsPerScrape} observations per scrape`
+  + `, ${scrapes} scrapes`)
+console.log('mode    observe ms  scrape ms   total ms')
+for (const lazy of [false, true]) {
+  const {observeTime, scrapeTime} = run(lazy, stats)
+  const mode = lazy ? 'lazy ' : 'eager'
+  const columns = [observeTime, scrapeTime, observeTime + scrapeTime].map(ms)
+  console.log(`${mode} ${columns.join(' ')}`)
+}